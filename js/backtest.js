@@ -0,0 +1,364 @@
+import { CandleManager } from './candles.js';
+import { IndicatorManager } from './indicators.js';
+import { DigitAnalytics } from './digits.js';
+import { CONTRACT_TYPES, advanceContract, formatBarrier, multiplierValue, resolveContract, startProbability } from './contracts.js';
+import { EquityTracker } from './equity.js';
+import { PositionBook } from './positions.js';
+import { TradeModel } from './ml.js';
+
+/**
+ * Backtester - Event-driven replay of stored ticks through the bot's strategies
+ * @class
+ */
+export class Backtester {
+  constructor({ payoutRatio = 0.85, initialBalance = 1000, minTradeInterval = 5000 } = {}) {
+    this.payoutRatio = payoutRatio; // Profit paid on a winning contract as a fraction of stake
+    this.initialBalance = initialBalance;
+    this.minTradeInterval = minTradeInterval; // Minimum simulated time between trades in ms
+    this.log = (message, type = 'info') => {
+      window.derivBot?.log(`[Backtester] ${message}`, type);
+    };
+  }
+
+  /**
+   * Create an isolated strategy context that shares the bot's methods but none of its live state
+   * @param {Object} bot - AdvancedDerivBot instance
+   * @returns {Object} Context usable with the bot's signal and sizing methods
+   */
+  createContext(bot) {
+    const context = Object.create(bot);
+    const equityTracker = new EquityTracker();
+    equityTracker.record(this.initialBalance);
+    // Replayed trades and candles stay out of the live log; the Backtester logs the run itself
+    const quiet = () => {};
+    const candleManager = new CandleManager({
+      timeframe: bot.candleManager.timeframe,
+      timeframes: bot.candleManager.getTimeframes(),
+    });
+    const indicatorManager = new IndicatorManager();
+    candleManager.log = quiet;
+    indicatorManager.log = quiet;
+    Object.assign(context, {
+      candleManager,
+      indicatorManager,
+      digitAnalytics: new DigitAnalytics({ windows: bot.digitAnalytics.windows }),
+      config: { ...bot.config },
+      pipSizes: new Map(bot.pipSizes),
+      positions: new PositionBook({
+        maxOpen: bot.config.maxOpenPositions,
+        maxOpenPerSymbol: bot.config.maxOpenPerSymbol,
+        maxExposure: bot.config.maxExposure,
+      }),
+      mlModel: TradeModel.fromJSON(bot.mlModel.toJSON()),
+      mlConfidences: [],
+      view: {}, // Replays draw nothing; every page hook is a no-op
+      log: quiet,
+      balance: this.initialBalance,
+      totalTrades: 0,
+      wins: 0,
+      losses: 0,
+      currentStreak: 0,
+      totalPnL: 0,
+      currentStake: bot.initialStake,
+      initialStake: bot.initialStake,
+      lastTradeResult: null,
+      consecutiveLosses: 0,
+      progressionStep: 0,
+      currentPrice: 0,
+      replayTime: null,
+      historicalData: [],
+      strategyStats: {},
+      isPaused: false,
+      equityTrackers: { live: equityTracker, paper: equityTracker }, // Sizing reads the replay's drawdown in either mode
+    });
+    return context;
+  }
+
+  /**
+   * Normalize stored tick records into time-ordered ticks for the configured symbols
+   * @param {Array<Object>} records - Tick records { symbol, price, volume, timestamp }
+   * @param {Array<string>} symbols - Symbols to replay
+   * @returns {Array<Object>} Ticks { symbol, price, volume, time }
+   */
+  prepareTicks(records, symbols) {
+    return records
+      .filter((record) => symbols.includes(record.symbol) && typeof record.price === 'number')
+      .map((record) => ({
+        symbol: record.symbol,
+        price: record.price,
+        volume: record.volume || 1,
+        time: new Date(record.timestamp),
+      }))
+      .filter((tick) => !Number.isNaN(tick.time.getTime()))
+      .sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Replay ticks, trade on strategy signals and settle each contract against later ticks.
+   * Signals become contracts of the configured family as in live trading, and contracts settle by the rules of
+   * advanceContract, which the simulator and the paper ledger share.
+   * @param {Object} bot - AdvancedDerivBot instance providing strategies and configuration
+   * @param {Array<Object>} records - Stored tick records
+   * @returns {Object} Backtest results with equity curve and performance metrics
+   */
+  run(bot, records) {
+    const context = this.createContext(bot);
+    const symbol = context.config.symbol;
+    const ticks = this.prepareTicks(records, context.config.symbols);
+    const lastTicks = new Map(); // Map<symbol, last tick { epoch, quote }>
+    const tickStats = new Map(); // Map<symbol, realised tick statistics for pricing>
+    const trades = [];
+    const equityCurve = [];
+    let position = null;
+    let lastTradeTime = -Infinity;
+
+    this.log(`Replaying ${ticks.length} ticks for ${context.config.symbols.join(', ')}`, 'info');
+    if (ticks.length) {
+      equityCurve.push({ time: ticks[0].time.toISOString(), equity: context.balance });
+    }
+
+    ticks.forEach((tick) => {
+      const quote = { epoch: tick.time.getTime() / 1000, quote: tick.price };
+      if (position && position.symbol === tick.symbol) {
+        const settlement = advanceContract(position, quote);
+        if (settlement) {
+          trades.push(this.settle(context, position, settlement));
+          equityCurve.push({ time: new Date(settlement.exit.epoch * 1000).toISOString(), equity: context.balance });
+          position = null;
+        }
+      }
+
+      this.recordTick(tickStats, tick.symbol, quote, lastTicks.get(tick.symbol));
+      lastTicks.set(tick.symbol, quote);
+      context.digitAnalytics.addTick(tick.symbol, tick.price, context.pipSizes.get(tick.symbol));
+      context.candleManager.addHistoricalTick(tick.symbol, tick);
+      if (tick.symbol !== symbol) return;
+
+      context.currentPrice = tick.price;
+      context.replayTime = tick.time;
+      if (context.candleManager.getCandles(symbol).length < 14) return;
+      context.updateSymbolIndicators(symbol);
+
+      if (position || tick.time.getTime() - lastTradeTime < this.minTradeInterval) return;
+      const signal = context.getTradeSignal(symbol);
+      if (!signal.shouldTrade) return;
+
+      const tradeSymbol = signal.symbol || symbol;
+      const spot = lastTicks.get(tradeSymbol);
+      const contract = spot && resolveContract(signal, context.config.contractFamily, {
+        digitBarrier: context.config.digitBarrier,
+        touchOffset: (spot.quote * context.config.touchBarrier) / 100,
+      });
+      if (!contract) {
+        lastTradeTime = tick.time.getTime();
+        return;
+      }
+
+      context.adjustStakeBasedOnStrategy(tradeSymbol);
+      if (signal.rule?.stake) context.currentStake = signal.rule.stake;
+      if (context.currentStake > context.balance) {
+        this.log('Simulated balance exhausted; stopping trade entry', 'warning');
+        return;
+      }
+      const candidate = this.openContract(context, contract, signal, tradeSymbol, quote);
+      candidate.payout = this.pricePayout(candidate, spot.quote, tickStats.get(tradeSymbol));
+      lastTradeTime = tick.time.getTime();
+      if (candidate.payout === null) {
+        this.log(`Skipping ${candidate.type} ${candidate.barrier ?? ''} on ${tradeSymbol}: the contract would not be offered`, 'debug');
+        return;
+      }
+      candidate.current = spot;
+      position = candidate;
+    });
+
+    if (position?.entry && position.multiplier) {
+      // Multipliers have no expiry; close one still running at its value on the last tick
+      const sellPrice = multiplierValue(position, position.current.quote);
+      trades.push(this.settle(context, position, { exit: position.current, sellPrice, status: 'sold' }));
+      equityCurve.push({ time: new Date(position.current.epoch * 1000).toISOString(), equity: context.balance });
+    } else if (position) {
+      this.log(`Discarding unsettled ${position.type} on ${position.symbol}: not enough ticks after entry`, 'debug');
+    }
+
+    return this.summarize(trades, equityCurve);
+  }
+
+  /**
+   * Build a simulated contract from a resolved signal, with the terms executeTrade would order
+   * @param {Object} context - Strategy context from createContext
+   * @param {Object} contract - Contract { tradeType, barrier } from resolveContract
+   * @param {Object} signal - Strategy signal, possibly carrying a custom rule's duration
+   * @param {string} symbol - Market symbol
+   * @param {Object} purchaseTick - Tick { epoch, quote } the contract is bought on
+   * @returns {Object} Open contract in the shape advanceContract expects, plus journal fields
+   */
+  openContract(context, contract, signal, symbol, purchaseTick) {
+    const { durationUnit } = CONTRACT_TYPES[contract.tradeType];
+    const duration = !durationUnit ? null :
+      signal.rule?.duration ?? (durationUnit === 't' ? context.config.digitTicks : context.predictDuration(symbol));
+    const pipSize = context.pipSizes.get(symbol);
+    const indicators = context.getIndicators(symbol);
+    return {
+      symbol,
+      type: contract.tradeType,
+      strategy: context.config.strategy,
+      stake: context.currentStake,
+      payout: 0,
+      duration,
+      unit: durationUnit,
+      barrier: contract.barrier === undefined ? undefined : formatBarrier(contract.tradeType, contract.barrier, pipSize),
+      multiplier: durationUnit ? undefined : context.config.contractMultiplier,
+      stopLoss: durationUnit ? undefined : context.config.multiplierStopLoss,
+      takeProfit: durationUnit ? undefined : context.config.multiplierTakeProfit,
+      pipSize,
+      purchaseTime: purchaseTick.epoch,
+      dateExpiry: durationUnit && durationUnit !== 't' ? purchaseTick.epoch + duration : null,
+      entry: null,
+      current: null,
+      ticksSeen: 0,
+      indicators: {
+        rsi: indicators.rsi,
+        macd: indicators.macd.histogram,
+        volatility: indicators.volatility,
+      },
+    };
+  }
+
+  /**
+   * Accumulate the realised volatility and spacing of a symbol's ticks
+   * @param {Map} tickStats - Map<symbol, { count, sumSquared, firstEpoch, lastEpoch }>
+   * @param {string} symbol - Market symbol
+   * @param {Object} tick - New tick { epoch, quote }
+   * @param {Object} [previous] - Previous tick of the symbol
+   */
+  recordTick(tickStats, symbol, tick, previous) {
+    if (!previous) {
+      tickStats.set(symbol, { count: 0, sumSquared: 0, firstEpoch: tick.epoch, lastEpoch: tick.epoch });
+      return;
+    }
+    const stats = tickStats.get(symbol);
+    stats.count++;
+    stats.sumSquared += Math.log(tick.quote / previous.quote) ** 2;
+    stats.lastEpoch = tick.epoch;
+  }
+
+  /**
+   * Price a contract as the simulator does: a payout of stake * (1 + payoutRatio) at even odds,
+   * scaled by the contract's chance of winning under the realised tick volatility
+   * @param {Object} contract - Contract { type, barrier, stake, duration, unit }
+   * @param {number} spot - Current price
+   * @param {Object} stats - Realised tick statistics from recordTick
+   * @returns {number|null} Payout, 0 for multipliers, or null if the odds are too lopsided to be offered
+   */
+  pricePayout(contract, spot, stats) {
+    const tickVolatility = stats.count ? Math.sqrt(stats.sumSquared / stats.count) : 0;
+    const tickSeconds = stats.count ? (stats.lastEpoch - stats.firstEpoch) / stats.count : 1;
+    const ticks = contract.unit === 't' ? contract.duration : contract.duration / (tickSeconds || 1);
+    const probability = startProbability({ ...contract, spot }, tickVolatility, ticks);
+    if (probability === null) return 0;
+    if (!(probability >= 0.02 && probability <= 0.98)) return null;
+    return (contract.stake * (1 + this.payoutRatio) * 0.5) / probability;
+  }
+
+  /**
+   * Settle a simulated contract and update the context's running statistics
+   * @param {Object} context - Strategy context from createContext
+   * @param {Object} position - Settled contract
+   * @param {Object} settlement - Settlement { exit, sellPrice, status } from advanceContract
+   * @returns {Object} Settled trade record
+   */
+  settle(context, position, { exit, sellPrice }) {
+    const pnl = sellPrice - position.stake;
+    const result = pnl > 0 ? 'win' : 'loss';
+    const exitTime = new Date(exit.epoch * 1000);
+
+    context.totalTrades++;
+    context.totalPnL += pnl;
+    context.balance += pnl;
+    context.equityTracker.record(context.balance, exitTime);
+    context.lastTradeResult = result;
+    if (result === 'win') {
+      context.wins++;
+      context.consecutiveLosses = 0;
+    } else {
+      context.losses++;
+      context.consecutiveLosses++;
+    }
+    context.advanceProgression(result);
+    context.historicalData.push({
+      result,
+      pnl,
+      symbol: position.symbol,
+      timestamp: exitTime,
+      price: exit.quote,
+    });
+
+    return {
+      id: `backtest_${exitTime.getTime()}_${context.totalTrades}`,
+      symbol: position.symbol,
+      strategy: position.strategy,
+      result,
+      pnl: parseFloat(pnl.toFixed(2)),
+      stake: position.stake,
+      contractType: position.type,
+      barrier: position.barrier,
+      duration: position.unit ? `${position.duration}${position.unit}` : `x${position.multiplier}`,
+      entrySpot: position.entry.quote,
+      exitSpot: exit.quote,
+      indicators: position.indicators,
+      timestamp: exitTime.toISOString(),
+    };
+  }
+
+  /**
+   * Compute performance metrics from settled trades
+   * @param {Array<Object>} trades - Settled trade records
+   * @param {Array<Object>} equityCurve - Equity points { time, equity }
+   * @returns {Object} Results { totalTrades, wins, losses, winRate, totalPnL, maxDrawdown, maxDrawdownPct, sharpe, profitFactor, strategies, equityCurve, trades }
+   */
+  summarize(trades, equityCurve) {
+    const wins = trades.filter((trade) => trade.result === 'win').length;
+    const grossProfit = trades.filter((trade) => trade.pnl > 0).reduce((sum, trade) => sum + trade.pnl, 0);
+    const grossLoss = Math.abs(trades.filter((trade) => trade.pnl < 0).reduce((sum, trade) => sum + trade.pnl, 0));
+
+    let peak = -Infinity;
+    let maxDrawdown = 0;
+    let maxDrawdownPct = 0;
+    equityCurve.forEach(({ equity }) => {
+      peak = Math.max(peak, equity);
+      maxDrawdown = Math.max(maxDrawdown, peak - equity);
+      maxDrawdownPct = Math.max(maxDrawdownPct, peak > 0 ? (peak - equity) / peak * 100 : 0);
+    });
+
+    // Per-trade Sharpe ratio on stake-normalized returns
+    const returns = trades.map((trade) => trade.pnl / trade.stake);
+    const meanReturn = returns.reduce((sum, r) => sum + r, 0) / (returns.length || 1);
+    const stdReturn = Math.sqrt(returns.reduce((sum, r) => sum + ((r - meanReturn) ** 2), 0) / (returns.length || 1));
+
+    const strategies = {};
+    trades.forEach((trade) => {
+      if (!strategies[trade.strategy]) {
+        strategies[trade.strategy] = { trades: 0, wins: 0, losses: 0, totalPnL: 0 };
+      }
+      const stats = strategies[trade.strategy];
+      stats.trades++;
+      stats[trade.result === 'win' ? 'wins' : 'losses']++;
+      stats.totalPnL += trade.pnl;
+    });
+
+    return {
+      totalTrades: trades.length,
+      wins,
+      losses: trades.length - wins,
+      winRate: trades.length ? (wins / trades.length) * 100 : 0,
+      totalPnL: grossProfit - grossLoss,
+      maxDrawdown,
+      maxDrawdownPct,
+      sharpe: stdReturn > 0 ? meanReturn / stdReturn : 0,
+      profitFactor: grossLoss > 0 ? grossProfit / grossLoss : (grossProfit > 0 ? Infinity : 0),
+      strategies,
+      equityCurve,
+      trades,
+    };
+  }
+}
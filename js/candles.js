@@ -3,16 +3,18 @@
  * @class
  */
 export class CandleManager {
-  constructor({ timeframe = 60 } = {}) {
-    this.timeframe = timeframe; // Timeframe in seconds
-    this.candles = new Map(); // Map<symbol, Array<candle>>
+  constructor({ timeframe = 60, timeframes = [15, 60, 300, 900], onCandleClose = null } = {}) {
+    this.timeframe = timeframe; // Primary timeframe in seconds
+    this.timeframes = [...new Set([timeframe, ...timeframes])].sort((a, b) => a - b);
+    this.candles = new Map(); // Map<symbol, Map<timeframe, Array<candle>>>
+    this.onCandleClose = onCandleClose; // Called as (symbol, timeframe, candle) when a series rolls to a new bucket
     this.log = (message, type = 'info') => {
       window.derivBot?.log(`[CandleManager] ${message}`, type);
     };
   }
 
   /**
-   * Set the timeframe for candlestick aggregation
+   * Set the primary timeframe for candlestick aggregation
    * @param {number} timeframe - Timeframe in seconds
    */
   setTimeframe(timeframe) {
@@ -21,9 +23,55 @@ export class CandleManager {
       return;
     }
     this.timeframe = timeframe;
+    if (!this.timeframes.includes(timeframe)) {
+      this.setTimeframes([...this.timeframes, timeframe]);
+    }
     this.log(`Timeframe set to ${timeframe}s`, 'debug');
   }
 
+  /**
+   * Set all timeframes aggregated in parallel from the tick stream.
+   * New series are rebuilt from the finest existing series that divides them evenly.
+   * @param {Array<number>} timeframes - Timeframes in seconds
+   */
+  setTimeframes(timeframes) {
+    if (!Array.isArray(timeframes) || timeframes.some((tf) => typeof tf !== 'number' || tf < 1)) {
+      this.log(`Invalid timeframes: ${JSON.stringify(timeframes)}`, 'error');
+      return;
+    }
+    const previous = this.timeframes;
+    this.timeframes = [...new Set([this.timeframe, ...timeframes])].sort((a, b) => a - b);
+
+    this.candles.forEach((series) => {
+      this.timeframes.forEach((tf) => {
+        if (series.has(tf)) return;
+        const source = previous.find((p) => p < tf && tf % p === 0 && series.has(p));
+        series.set(tf, source ? this.resampleCandles(series.get(source), tf) : []);
+      });
+      Array.from(series.keys()).forEach((tf) => {
+        if (!this.timeframes.includes(tf)) series.delete(tf);
+      });
+    });
+    this.log(`Timeframes set to ${this.timeframes.join(', ')}s`, 'debug');
+  }
+
+  /**
+   * Get all aggregated timeframes
+   * @returns {Array<number>} Timeframes in seconds, ascending
+   */
+  getTimeframes() {
+    return [...this.timeframes];
+  }
+
+  /**
+   * Get the next timeframe above the given one
+   * @param {number} [timeframe=this.timeframe] - Reference timeframe in seconds
+   * @returns {number|null} Higher timeframe or null if none is aggregated
+   */
+  getHigherTimeframe(timeframe = this.timeframe) {
+    return this.timeframes.find((tf) => tf > timeframe) ?? null;
+  }
+
   /**
    * Initialize candle storage for a symbol
    * @param {string} symbol - Market symbol (e.g., 'R_10')
@@ -34,13 +82,13 @@ export class CandleManager {
       return;
     }
     if (!this.candles.has(symbol)) {
-      this.candles.set(symbol, []);
+      this.candles.set(symbol, new Map(this.timeframes.map((tf) => [tf, []])));
       this.log(`Initialized candles for ${symbol}`, 'info');
     }
   }
 
   /**
-   * Add a tick to the candle data for a symbol
+   * Add a tick to the candle data for a symbol across all timeframes
    * @param {string} symbol - Market symbol
    * @param {Object} tick - Tick data { price: number, time: Date, volume: number }
    */
@@ -52,37 +100,155 @@ export class CandleManager {
       }
 
       this.initializeSymbol(symbol); // Ensure symbol is initialized
-      let symbolCandles = this.candles.get(symbol);
-
-      const timeBucket = Math.floor(tick.time.getTime() / (this.timeframe * 1000)) * (this.timeframe * 1000);
-      const lastCandle = symbolCandles[symbolCandles.length - 1];
-
-      if (lastCandle && lastCandle.time.getTime() === timeBucket) {
-        lastCandle.high = Math.max(lastCandle.high, tick.price);
-        lastCandle.low = Math.min(lastCandle.low, tick.price);
-        lastCandle.close = tick.price;
-        lastCandle.volume += tick.volume;
-      } else {
-        symbolCandles.push({
-          time: new Date(timeBucket),
-          open: tick.price,
-          high: tick.price,
-          low: tick.price,
-          close: tick.price,
-          volume: tick.volume,
-        });
-        if (symbolCandles.length > 1000) {
-          symbolCandles.shift();
+      const series = this.candles.get(symbol);
+      this.timeframes.forEach((timeframe) => {
+        if (!series.has(timeframe)) series.set(timeframe, []);
+        const closed = this.updateSeries(series.get(timeframe), timeframe, tick);
+        if (closed) {
+          this.onCandleClose?.(symbol, timeframe, closed);
         }
-      }
+      });
 
-      this.candles.set(symbol, symbolCandles);
       this.log(`Added tick for ${symbol}: ${tick.price}`, 'debug');
     } catch (error) {
       this.log(`Error adding tick for ${symbol}: ${error.message}`, 'error');
     }
   }
 
+  /**
+   * Apply a tick to a single candle series
+   * @param {Array<Object>} symbolCandles - Candle series to update in place
+   * @param {number} timeframe - Series timeframe in seconds
+   * @param {Object} tick - Tick data { price, time, volume }
+   * @returns {Object|null} The candle closed by this tick, if it opened a new bucket
+   */
+  updateSeries(symbolCandles, timeframe, tick) {
+    const timeBucket = Math.floor(tick.time.getTime() / (timeframe * 1000)) * (timeframe * 1000);
+    const lastCandle = symbolCandles[symbolCandles.length - 1];
+
+    if (lastCandle && lastCandle.time.getTime() === timeBucket) {
+      lastCandle.high = Math.max(lastCandle.high, tick.price);
+      lastCandle.low = Math.min(lastCandle.low, tick.price);
+      lastCandle.close = tick.price;
+      lastCandle.volume += tick.volume;
+    } else if (lastCandle && lastCandle.time.getTime() > timeBucket) {
+      this.log(`Ignoring out-of-order tick at ${tick.time.toISOString()} for ${timeframe}s series`, 'debug');
+    } else {
+      symbolCandles.push({
+        time: new Date(timeBucket),
+        open: tick.price,
+        high: tick.price,
+        low: tick.price,
+        close: tick.price,
+        volume: tick.volume,
+        closed: false,
+      });
+      if (symbolCandles.length > 1000) {
+        symbolCandles.shift();
+      }
+      if (lastCandle && !lastCandle.closed) {
+        lastCandle.closed = true;
+        return lastCandle;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Aggregate candles into a larger timeframe
+   * @param {Array<Object>} candles - Source candles, oldest first
+   * @param {number} timeframe - Target timeframe in seconds
+   * @returns {Array<Object>} Aggregated candles
+   */
+  resampleCandles(candles, timeframe) {
+    const resampled = [];
+    candles.forEach((candle) => {
+      const timeBucket = Math.floor(candle.time.getTime() / (timeframe * 1000)) * (timeframe * 1000);
+      const last = resampled[resampled.length - 1];
+      if (last && last.time.getTime() === timeBucket) {
+        last.high = Math.max(last.high, candle.high);
+        last.low = Math.min(last.low, candle.low);
+        last.close = candle.close;
+        last.volume += candle.volume;
+      } else {
+        resampled.push({ ...candle, time: new Date(timeBucket) });
+      }
+    });
+    resampled.forEach((candle, i) => { candle.closed = i < resampled.length - 1; });
+    return resampled.slice(-1000);
+  }
+
+  /**
+   * Bulk-load stored or historical candles into a series. Loaded candles must predate the series' own ticks;
+   * where both cover the same bucket, the loaded open is kept, highs and lows are merged and the
+   * series keeps its close and volume, so live data is never lost.
+   * @param {string} symbol - Market symbol
+   * @param {number} timeframe - Timeframe of the candles in seconds
+   * @param {Array<Object>} candles - Candles { time|timestamp, open, high, low, close, volume, closed? }
+   * @returns {number} Number of loaded candles inserted into or merged with the series after trimming
+   */
+  loadCandles(symbol, timeframe, candles) {
+    if (!symbol || !Array.isArray(candles)) {
+      this.log(`Invalid candles for ${symbol}`, 'error');
+      return 0;
+    }
+    if (!this.timeframes.includes(timeframe)) {
+      this.log(`Timeframe ${timeframe}s is not aggregated; skipping ${candles.length} candles for ${symbol}`, 'debug');
+      return 0;
+    }
+
+    this.initializeSymbol(symbol);
+    const series = this.candles.get(symbol).get(timeframe);
+    const byTime = new Map();
+    candles.forEach((candle) => {
+      const time = new Date(candle.time ?? candle.timestamp);
+      if (Number.isNaN(time.getTime()) || [candle.open, candle.high, candle.low, candle.close].some((v) => typeof v !== 'number')) return;
+      byTime.set(time.getTime(), {
+        time,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close,
+        volume: candle.volume || 1,
+        closed: candle.closed ?? true,
+      });
+    });
+    const loadedTimes = new Set(byTime.keys());
+    series.forEach((candle) => {
+      const loaded = byTime.get(candle.time.getTime());
+      if (loaded) {
+        candle.open = loaded.open;
+        candle.high = Math.max(candle.high, loaded.high);
+        candle.low = Math.min(candle.low, loaded.low);
+      }
+      byTime.set(candle.time.getTime(), candle);
+    });
+
+    const merged = Array.from(byTime.values()).sort((a, b) => a.time - b.time).slice(-1000);
+    series.splice(0, series.length, ...merged);
+    // Count loaded candles that survived the trim, whether new buckets or merged into existing ones
+    const added = merged.filter((candle) => loadedTimes.has(candle.time.getTime())).length;
+    this.log(`Loaded ${added} ${timeframe}s candles for ${symbol}`, 'info');
+    return added;
+  }
+
+  /**
+   * Backfill every timeframe of a symbol from historical ticks that precede the live stream
+   * @param {string} symbol - Market symbol
+   * @param {Array<Object>} ticks - Ticks { price, time: Date, volume }, oldest first
+   * @returns {number} Number of candles added to the primary timeframe
+   */
+  backfillTicks(symbol, ticks) {
+    let added = 0;
+    this.timeframes.forEach((timeframe) => {
+      const built = [];
+      ticks.forEach((tick) => this.updateSeries(built, timeframe, tick));
+      const count = this.loadCandles(symbol, timeframe, built);
+      if (timeframe === this.timeframe) added = count;
+    });
+    return added;
+  }
+
   /**
    * Add historical tick data for backtesting
    * @param {string} symbol - Market symbol
@@ -96,31 +262,38 @@ export class CandleManager {
   /**
    * Get candles for a symbol
    * @param {string} symbol - Market symbol
+   * @param {number} [timeframe=this.timeframe] - Timeframe in seconds
    * @returns {Array<Object>} Array of candle objects
    */
-  getCandles(symbol) {
+  getCandles(symbol, timeframe = this.timeframe) {
     if (!symbol || typeof symbol !== 'string') {
       this.log(`Invalid symbol for getCandles: ${symbol}`, 'error');
       return [];
     }
-    const candles = this.candles.get(symbol);
-    if (!candles) {
+    const series = this.candles.get(symbol);
+    if (!series) {
       this.log(`No candles initialized for ${symbol}`, 'warning');
       return [];
     }
+    const candles = series.get(timeframe);
+    if (!candles) {
+      this.log(`Timeframe ${timeframe}s is not aggregated for ${symbol}`, 'warning');
+      return [];
+    }
     return candles;
   }
 
   /**
    * Detect candlestick patterns for a symbol
    * @param {string} symbol - Market symbol
+   * @param {number} [timeframe=this.timeframe] - Timeframe in seconds
    * @returns {string|null} Detected pattern or null
    */
-  detectPattern(symbol) {
+  detectPattern(symbol, timeframe = this.timeframe) {
     try {
-      const candles = this.getCandles(symbol);
+      const candles = this.getCandles(symbol, timeframe);
       if (candles.length < 2) {
-        this.log(`Insufficient candles for pattern detection in ${symbol}`, 'warning');
+        this.log(`Insufficient ${timeframe}s candles for pattern detection in ${symbol}`, 'warning');
         return null;
       }
 
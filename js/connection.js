@@ -0,0 +1,209 @@
+/**
+ * ConnectionManager - Keeps a WebSocket to the Deriv API open with jittered exponential backoff and a ping heartbeat
+ * @class
+ */
+export class ConnectionManager {
+  constructor({
+    onOpen = null,
+    onMessage = null,
+    onClose = null,
+    createSocket = (url) => new WebSocket(url),
+    baseDelay = 1000,
+    maxDelay = 60000,
+    heartbeatInterval = 30000,
+    heartbeatTimeout = 10000,
+  } = {}) {
+    this.onOpen = onOpen; // Called as ({ reconnected }) once the socket is open
+    this.onMessage = onMessage; // Called with every parsed message
+    this.onClose = onClose; // Called as ({ willReconnect, delay }) when the socket closes
+    this.createSocket = createSocket;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.heartbeatInterval = heartbeatInterval;
+    this.heartbeatTimeout = heartbeatTimeout;
+    this.url = null;
+    this.socket = null;
+    this.attempt = 0; // Consecutive failed attempts since the last successful open
+    this.hasConnected = false;
+    this.shouldReconnect = false;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.pongTimer = null;
+    this.log = (message, type = 'info') => {
+      window.derivBot?.log(`[ConnectionManager] ${message}`, type);
+    };
+  }
+
+  /**
+   * Whether the socket is open
+   * @returns {boolean} Open state
+   */
+  get isOpen() {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  /**
+   * Open a connection and keep it open until disconnect() is called
+   * @param {string} url - WebSocket URL
+   */
+  connect(url) {
+    this.url = url;
+    this.shouldReconnect = true;
+    this.hasConnected = false;
+    this.attempt = 0;
+    clearTimeout(this.reconnectTimer);
+    if (this.closeSocket()) {
+      this.onClose?.({ willReconnect: true, delay: 0 });
+    }
+    this.open();
+  }
+
+  /**
+   * Close the connection without reconnecting
+   */
+  disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    if (this.closeSocket()) {
+      this.onClose?.({ willReconnect: false, delay: null });
+    }
+  }
+
+  /**
+   * Send a message on the open socket
+   * @param {Object} message - Message to send
+   * @returns {boolean} Whether the message was sent
+   */
+  send(message) {
+    if (!this.isOpen) return false;
+    this.socket.send(JSON.stringify(message));
+    return true;
+  }
+
+  /**
+   * Create the socket and wire its events
+   */
+  open() {
+    let socket;
+    try {
+      socket = this.createSocket(this.url);
+    } catch (error) {
+      this.log(`Connection error: ${error.message}`, 'error');
+      this.scheduleReconnect();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      const reconnected = this.hasConnected;
+      this.hasConnected = true;
+      this.attempt = 0;
+      this.startHeartbeat();
+      this.log(reconnected ? 'Reconnected' : 'Connected', 'debug');
+      this.onOpen?.({ reconnected });
+    };
+
+    socket.onmessage = (event) => {
+      this.resetPongTimer();
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        this.log(`Error parsing WebSocket message: ${error.message}`, 'error');
+        return;
+      }
+      this.onMessage?.(data);
+    };
+
+    socket.onclose = () => this.handleClose(socket);
+
+    socket.onerror = (error) => {
+      this.log(`WebSocket error: ${error.message || 'Unknown error'}`, 'error');
+    };
+  }
+
+  /**
+   * Tear down after a socket closed or was dropped, and schedule a reconnect if one is wanted
+   * @param {WebSocket} socket - Socket that closed
+   */
+  handleClose(socket) {
+    if (socket !== this.socket) return; // A replaced or already dropped socket closing late
+    this.stopHeartbeat();
+    this.socket = null;
+    const delay = this.shouldReconnect ? this.scheduleReconnect() : null;
+    this.onClose?.({ willReconnect: delay !== null, delay });
+  }
+
+  /**
+   * Close the current socket without triggering a reconnect from its close event
+   * @returns {boolean} Whether there was a socket to close
+   */
+  closeSocket() {
+    this.stopHeartbeat();
+    const socket = this.socket;
+    this.socket = null;
+    if (!socket) return false;
+    if (socket.readyState !== WebSocket.CLOSED) {
+      socket.close();
+    }
+    return true;
+  }
+
+  /**
+   * Compute the next reconnect delay with full jitter: uniform in [0, min(maxDelay, baseDelay * 2^attempt)]
+   * @returns {number} Delay in milliseconds
+   */
+  nextDelay() {
+    const ceiling = Math.min(this.maxDelay, this.baseDelay * 2 ** this.attempt);
+    return Math.round(Math.random() * ceiling);
+  }
+
+  /**
+   * Schedule the next connection attempt
+   * @returns {number} Delay in milliseconds
+   */
+  scheduleReconnect() {
+    const delay = this.nextDelay();
+    this.attempt++;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.open(), delay);
+    this.log(`Reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${this.attempt})`, 'info');
+    return delay;
+  }
+
+  /**
+   * Ping the server periodically; a connection that stays silent past the timeout is closed and reopened
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.send({ ping: 1 })) return;
+      if (!this.pongTimer) {
+        this.pongTimer = setTimeout(() => {
+          this.log(`No response for ${this.heartbeatTimeout}ms; dropping connection`, 'warning');
+          // A dead socket can take long to report its close, so reconnect without waiting for it
+          const socket = this.socket;
+          this.handleClose(socket);
+          socket?.close();
+        }, this.heartbeatTimeout);
+      }
+    }, this.heartbeatInterval);
+  }
+
+  /**
+   * Stop the heartbeat timers
+   */
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    this.resetPongTimer();
+  }
+
+  /**
+   * Treat any incoming message as proof the connection is alive
+   */
+  resetPongTimer() {
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+  }
+}
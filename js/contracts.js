@@ -0,0 +1,358 @@
+// contracts.js - Deriv contract types: proposal parameters, settlement and valuation shared by the simulator and the paper ledger
+
+/**
+ * Contract types the bot trades. `direction` is +1 for contracts that gain when the price rises, -1 when it falls
+ * and 0 for digit contracts; `barrier` is 'digit' for a last-digit prediction and 'offset' for a barrier relative
+ * to the entry spot; `durationUnit` is the unit the contract is priced in, or null for contracts without expiry.
+ */
+export const CONTRACT_TYPES = {
+  CALL: { family: 'rise-fall', label: 'Rise', direction: 1, barrier: null, durationUnit: 's' },
+  PUT: { family: 'rise-fall', label: 'Fall', direction: -1, barrier: null, durationUnit: 's' },
+  DIGITOVER: { family: 'digits', label: 'Over', direction: 0, barrier: 'digit', durationUnit: 't' },
+  DIGITUNDER: { family: 'digits', label: 'Under', direction: 0, barrier: 'digit', durationUnit: 't' },
+  DIGITEVEN: { family: 'digits', label: 'Even', direction: 0, barrier: null, durationUnit: 't' },
+  DIGITODD: { family: 'digits', label: 'Odd', direction: 0, barrier: null, durationUnit: 't' },
+  DIGITMATCH: { family: 'digits', label: 'Matches', direction: 0, barrier: 'digit', durationUnit: 't' },
+  DIGITDIFF: { family: 'digits', label: 'Differs', direction: 0, barrier: 'digit', durationUnit: 't' },
+  ONETOUCH: { family: 'touch', label: 'Touch', direction: 1, barrier: 'offset', durationUnit: 's' },
+  NOTOUCH: { family: 'touch', label: 'No Touch', direction: -1, barrier: 'offset', durationUnit: 's' },
+  MULTUP: { family: 'multiplier', label: 'Multiplier Up', direction: 1, barrier: null, durationUnit: null },
+  MULTDOWN: { family: 'multiplier', label: 'Multiplier Down', direction: -1, barrier: null, durationUnit: null },
+};
+
+/**
+ * Contract families selectable as the bot's trade type. `up` and `down` are the contracts a directional
+ * CALL/PUT signal becomes; digit families have none and only trade signals that name a digit contract.
+ */
+export const CONTRACT_FAMILIES = {
+  'rise-fall': { label: 'Rise/Fall', up: 'CALL', down: 'PUT' },
+  touch: { label: 'Touch/No Touch', up: 'ONETOUCH', down: 'ONETOUCH' },
+  multiplier: { label: 'Multipliers', up: 'MULTUP', down: 'MULTDOWN' },
+  'digit-over-under': { label: 'Digits Over/Under', up: null, down: null },
+  'digit-even-odd': { label: 'Digits Even/Odd', up: null, down: null },
+  'digit-match-differ': { label: 'Digits Matches/Differs', up: null, down: null },
+};
+
+// Chance that a uniformly distributed last digit wins, by contract type and barrier digit
+const DIGIT_ODDS = {
+  DIGITOVER: (barrier) => (9 - barrier) / 10,
+  DIGITUNDER: (barrier) => barrier / 10,
+  DIGITEVEN: () => 0.5,
+  DIGITODD: () => 0.5,
+  DIGITMATCH: () => 0.1,
+  DIGITDIFF: () => 0.9,
+};
+
+/**
+ * Digits a contract type accepts as its barrier: Over needs a digit above it and Under one below it
+ * @param {string} contractType - Deriv digit contract type
+ * @returns {Array<number>} [lowest, highest] barrier digit
+ */
+export function digitBarrierRange(contractType) {
+  if (contractType === 'DIGITOVER') return [0, 8];
+  if (contractType === 'DIGITUNDER') return [1, 9];
+  return [0, 9];
+}
+
+/**
+ * Standard normal cumulative distribution (Abramowitz-Stegun 7.1.26)
+ * @param {number} x - Value
+ * @returns {number} P(Z <= x)
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Round to two decimals, as Deriv quotes money
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function money(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Price direction a contract profits from
+ * @param {string} contractType - Deriv contract type
+ * @param {string|number} [barrier] - Contract barrier; a touch contract's side depends on its sign
+ * @returns {number} +1, -1, or 0 when the outcome does not depend on direction
+ */
+export function contractDirection(contractType, barrier) {
+  const spec = CONTRACT_TYPES[contractType];
+  if (!spec) return 0;
+  if (spec.family === 'touch') return Math.sign(Number(barrier) || 1) * spec.direction;
+  return spec.direction;
+}
+
+/**
+ * Turn a strategy signal into a concrete contract. Signals naming a contract type other than CALL/PUT are
+ * traded as they are; CALL/PUT signals become the configured family's up or down contract.
+ * @param {Object} signal - Signal { tradeType, barrier? }
+ * @param {string} family - Key of CONTRACT_FAMILIES
+ * @param {Object} settings - { digitBarrier, touchOffset } touchOffset is an absolute price distance
+ * @returns {Object|null} Contract { tradeType, barrier }, or null if the family cannot trade the signal
+ */
+export function resolveContract(signal, family, { digitBarrier = 5, touchOffset = 0 } = {}) {
+  const spec = CONTRACT_TYPES[signal.tradeType];
+  if (!spec) return null;
+  const isDirectional = signal.tradeType === 'CALL' || signal.tradeType === 'PUT';
+  const tradeType = isDirectional ? CONTRACT_FAMILIES[family]?.[spec.direction > 0 ? 'up' : 'down'] : signal.tradeType;
+  if (!tradeType) return null;
+
+  let barrier = isDirectional ? undefined : signal.barrier;
+  const { barrier: barrierKind } = CONTRACT_TYPES[tradeType];
+  if (barrierKind === 'digit' && barrier === undefined) {
+    barrier = digitBarrier;
+  } else if (barrierKind === 'offset' && barrier === undefined) {
+    barrier = spec.direction * touchOffset;
+  }
+  return { tradeType, barrier: barrierKind ? barrier : undefined };
+}
+
+/**
+ * Format a barrier the way the API expects it: a digit, or a signed offset from the entry spot
+ * @param {string} contractType - Deriv contract type
+ * @param {string|number} barrier - Barrier
+ * @param {number} [pipSize] - Decimal places of the market's prices
+ * @returns {string} Barrier string
+ */
+export function formatBarrier(contractType, barrier, pipSize) {
+  if (CONTRACT_TYPES[contractType]?.barrier !== 'offset') return String(barrier);
+  if (typeof barrier === 'string' && /^[+-]/.test(barrier)) return barrier;
+  const offset = Number(barrier);
+  const magnitude = pipSize === undefined ? String(Math.abs(offset)) : Math.abs(offset).toFixed(pipSize);
+  return `${offset < 0 ? '-' : '+'}${magnitude}`;
+}
+
+/**
+ * Build a proposal request with the parameters each contract type requires
+ * @param {Object} order - Order { tradeType, symbol, stake, duration, durationUnit, barrier?, multiplier?, stopLoss?, takeProfit? }
+ * @param {string} [currency='USD'] - Account currency
+ * @returns {Object} Proposal request
+ */
+export function buildProposalRequest(order, currency = 'USD') {
+  const spec = CONTRACT_TYPES[order.tradeType];
+  if (!spec) {
+    throw new Error(`Unsupported contract type: ${order.tradeType}`);
+  }
+  const request = {
+    proposal: 1,
+    amount: order.stake,
+    basis: 'stake',
+    contract_type: order.tradeType,
+    currency,
+    symbol: order.symbol,
+  };
+  if (spec.family === 'multiplier') {
+    // Multipliers run until sold or stopped out; stop loss and take profit close them automatically
+    request.multiplier = order.multiplier;
+    const limitOrder = {};
+    if (order.stopLoss > 0) limitOrder.stop_loss = order.stopLoss;
+    if (order.takeProfit > 0) limitOrder.take_profit = order.takeProfit;
+    if (Object.keys(limitOrder).length) request.limit_order = limitOrder;
+  } else {
+    request.duration = order.duration;
+    request.duration_unit = order.durationUnit || spec.durationUnit;
+  }
+  if (spec.barrier) request.barrier = order.barrier;
+  return request;
+}
+
+/**
+ * Last digit of a quote as displayed with the market's pip size
+ * @param {number} quote - Price
+ * @param {number} [pipSize] - Decimal places of the market's prices
+ * @returns {number} Digit 0-9
+ */
+export function lastDigit(quote, pipSize) {
+  const text = pipSize === undefined ? String(quote) : Number(quote).toFixed(pipSize);
+  return Number(text.at(-1));
+}
+
+/**
+ * Chance a fresh contract finishes in the money, for pricing its payout
+ * @param {Object} terms - { type, barrier, spot } spot is the current price, needed for touch contracts
+ * @param {number} tickVolatility - Standard deviation of log returns per tick
+ * @param {number} ticks - Ticks until expiry
+ * @returns {number|null} Probability, or null for multipliers, which have no fixed payout
+ */
+export function startProbability(terms, tickVolatility, ticks) {
+  const { family } = CONTRACT_TYPES[terms.type];
+  if (family === 'multiplier') return null;
+  if (family === 'digits') return DIGIT_ODDS[terms.type](Number(terms.barrier));
+  if (family === 'touch') {
+    const spread = tickVolatility * Math.sqrt(ticks);
+    const touch = 2 * normalCdf(-Math.abs(Math.log1p(Number(terms.barrier) / terms.spot)) / spread);
+    return terms.type === 'ONETOUCH' ? touch : 1 - touch;
+  }
+  return 0.5;
+}
+
+/**
+ * Value of a multiplier contract at a price: the stake plus its leveraged return, never below zero
+ * @param {Object} contract - Contract { type, stake, multiplier, entry }
+ * @param {number} quote - Current price
+ * @returns {number} Value
+ */
+export function multiplierValue(contract, quote) {
+  const change = quote / contract.entry.quote - 1;
+  const sign = contract.type === 'MULTUP' ? 1 : -1;
+  return Math.max(0, contract.stake * (1 + sign * contract.multiplier * change));
+}
+
+/**
+ * Chance an open contract finishes in the money under a random walk
+ * @param {Object} contract - Open contract with an entry tick
+ * @param {number} tickVolatility - Standard deviation of log returns per tick, 0 if unknown
+ * @param {number} remainingTicks - Ticks until expiry
+ * @returns {number} Probability between 0 and 1
+ */
+export function winProbability(contract, tickVolatility, remainingTicks) {
+  const { type, entry, current } = contract;
+  const { family } = CONTRACT_TYPES[type];
+  if (family === 'digits') return DIGIT_ODDS[type](Number(contract.barrier));
+
+  const spread = remainingTicks > 0 ? tickVolatility * Math.sqrt(remainingTicks) : 0;
+  if (family === 'touch') {
+    if (contract.touched) return type === 'ONETOUCH' ? 1 : 0;
+    const touch = spread > 0 ? 2 * normalCdf(-Math.abs(Math.log(contract.barrierLevel / current.quote)) / spread) : 0;
+    return type === 'ONETOUCH' ? touch : 1 - touch;
+  }
+
+  const move = Math.log(current.quote / entry.quote);
+  if (!(spread > 0) || !Number.isFinite(move / spread)) {
+    if (move === 0) return remainingTicks > 0 ? 0.5 : 0;
+    return (type === 'CALL') === (move > 0) ? 1 : 0;
+  }
+  return type === 'CALL' ? normalCdf(move / spread) : normalCdf(-move / spread);
+}
+
+/**
+ * Bid price of an open contract
+ * @param {Object} contract - Open contract
+ * @param {number} tickVolatility - Standard deviation of log returns per tick, 0 if unknown
+ * @param {number} remainingTicks - Ticks until expiry
+ * @returns {number} Bid price
+ */
+export function contractValue(contract, tickVolatility, remainingTicks) {
+  if (!contract.entry) return contract.stake;
+  if (CONTRACT_TYPES[contract.type].family === 'multiplier') {
+    return money(multiplierValue(contract, contract.current.quote));
+  }
+  return money(contract.payout * winProbability(contract, tickVolatility, remainingTicks));
+}
+
+/**
+ * Whether an expired contract won
+ * @param {Object} contract - Contract { type, barrier, entry, touched, pipSize }
+ * @param {Object} exit - Exit tick { epoch, quote }
+ * @returns {boolean} Win
+ */
+export function contractWins(contract, exit) {
+  const digit = lastDigit(exit.quote, contract.pipSize);
+  const barrier = Number(contract.barrier);
+  switch (contract.type) {
+    case 'CALL': return exit.quote > contract.entry.quote;
+    case 'PUT': return exit.quote < contract.entry.quote;
+    case 'DIGITOVER': return digit > barrier;
+    case 'DIGITUNDER': return digit < barrier;
+    case 'DIGITEVEN': return digit % 2 === 0;
+    case 'DIGITODD': return digit % 2 === 1;
+    case 'DIGITMATCH': return digit === barrier;
+    case 'DIGITDIFF': return digit !== barrier;
+    case 'ONETOUCH': return Boolean(contract.touched);
+    case 'NOTOUCH': return !contract.touched;
+    default: return false;
+  }
+}
+
+/**
+ * Advance an open contract with a new tick. The entry spot is the first tick after purchase. Digit contracts
+ * count the entry as their first tick; other tick contracts settle on the Nth tick after entry, and timed
+ * contracts on the latest tick at or before expiry. Touch contracts also settle as soon as the barrier is touched,
+ * and multipliers when stopped out or when their stop loss or take profit is reached.
+ * @param {Object} contract - Open contract { type, barrier, stake, payout, duration, unit, purchaseTime, dateExpiry,
+ *   entry, current, ticksSeen, multiplier?, stopLoss?, takeProfit?, pipSize? }, updated in place
+ * @param {Object} tick - New tick { epoch, quote }
+ * @returns {Object|null} Settlement { exit, sellPrice, status }, or null while the contract stays open
+ */
+export function advanceContract(contract, tick) {
+  const previous = contract.current;
+  contract.current = tick;
+  const spec = CONTRACT_TYPES[contract.type];
+  if (!contract.entry) {
+    if (tick.epoch <= contract.purchaseTime) return null;
+    contract.entry = tick;
+    if (spec.barrier === 'offset') contract.barrierLevel = tick.quote + Number(contract.barrier);
+  } else {
+    contract.ticksSeen++;
+  }
+
+  if (spec.family === 'multiplier') {
+    const value = money(multiplierValue(contract, tick.quote));
+    const profit = value - contract.stake;
+    if (value <= 0) return { exit: tick, sellPrice: 0, status: 'lost' };
+    if (contract.takeProfit > 0 && profit >= contract.takeProfit) return { exit: tick, sellPrice: value, status: 'won' };
+    if (contract.stopLoss > 0 && -profit >= contract.stopLoss) return { exit: tick, sellPrice: value, status: 'lost' };
+    return null;
+  }
+
+  let exit = null;
+  if (contract.unit === 't') {
+    const ticksElapsed = spec.family === 'digits' ? contract.ticksSeen + 1 : contract.ticksSeen;
+    if (ticksElapsed >= contract.duration) exit = tick;
+  } else if (tick.epoch >= contract.dateExpiry) {
+    // The entry tick itself may arrive after expiry, e.g. after a feed stall; then no earlier tick belongs to the contract
+    exit = tick.epoch === contract.dateExpiry || !previous || previous.epoch < contract.entry.epoch ? tick : previous;
+  }
+
+  // Only ticks within the contract's life can touch the barrier
+  if (spec.family === 'touch' && contract.ticksSeen > 0 && (!exit || exit === tick)) {
+    const crossed = Number(contract.barrier) > 0 ? tick.quote >= contract.barrierLevel : tick.quote <= contract.barrierLevel;
+    if (crossed) {
+      contract.touched = true;
+      exit = tick;
+    }
+  }
+
+  if (!exit) return null;
+  const won = contractWins(contract, exit);
+  return { exit, sellPrice: won ? contract.payout : 0, status: won ? 'won' : 'lost' };
+}
+
+/**
+ * Human-readable contract description
+ * @param {Object} terms - Contract terms { type, barrier, duration, unit, multiplier }
+ * @param {string} marketName - Display name of the market
+ * @returns {string} Long code
+ */
+export function describeContract(terms, marketName) {
+  const span = terms.unit === 't' ? `${terms.duration} ticks` : `${terms.duration}${terms.unit}`;
+  switch (CONTRACT_TYPES[terms.type].family) {
+    case 'digits': {
+      const outcome = {
+        DIGITOVER: `higher than ${terms.barrier}`,
+        DIGITUNDER: `lower than ${terms.barrier}`,
+        DIGITEVEN: 'even',
+        DIGITODD: 'odd',
+        DIGITMATCH: `${terms.barrier}`,
+        DIGITDIFF: `not ${terms.barrier}`,
+      }[terms.type];
+      return `Win payout if the last digit of ${marketName} is ${outcome} after ${span}.`;
+    }
+    case 'touch':
+      return `Win payout if ${marketName} ${terms.type === 'ONETOUCH' ? 'touches' : 'does not touch'} entry spot ${terms.barrier} ` +
+        `through ${span} after contract start time.`;
+    case 'multiplier':
+      return `If you select '${terms.type === 'MULTUP' ? 'Up' : 'Down'}', your total profit/loss will be the percentage ` +
+        `${terms.type === 'MULTUP' ? 'increase' : 'decrease'} in ${marketName}, multiplied by ${terms.multiplier}, ` +
+        'times your stake. Your contract is closed if your loss reaches your stake.';
+    default:
+      return `Win payout if ${marketName} is strictly ${terms.type === 'CALL' ? 'higher' : 'lower'} than entry spot ` +
+        `at ${span} after contract start time.`;
+  }
+}
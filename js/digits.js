@@ -0,0 +1,129 @@
+// digits.js - Rolling last-digit statistics of tick streams, for digit contracts on synthetic indices
+import { lastDigit } from './contracts.js';
+
+/**
+ * DigitAnalytics - Per-symbol last-digit frequencies over rolling tick windows, with even/odd and over/under streaks
+ * @class
+ */
+export class DigitAnalytics {
+  constructor({ windows = [25, 100, 1000] } = {}) {
+    this.windows = [...windows].sort((a, b) => a - b);
+    this.capacity = this.windows.at(-1);
+    this.series = new Map(); // Map<symbol, { digits, counts: Map<window, Array<number>> }>
+  }
+
+  /**
+   * Get or create the state of a symbol
+   * @param {string} symbol - Market symbol
+   * @returns {Object} { digits, counts }
+   */
+  getSeries(symbol) {
+    if (!this.series.has(symbol)) {
+      this.series.set(symbol, {
+        digits: [],
+        counts: new Map(this.windows.map((window) => [window, new Array(10).fill(0)])),
+      });
+    }
+    return this.series.get(symbol);
+  }
+
+  /**
+   * Record the last digit of a tick
+   * @param {string} symbol - Market symbol
+   * @param {number} quote - Tick price
+   * @param {number} [pipSize] - Decimal places of the market's prices
+   * @returns {number} The tick's last digit
+   */
+  addTick(symbol, quote, pipSize) {
+    const digit = lastDigit(quote, pipSize);
+    this.addDigit(symbol, digit);
+    return digit;
+  }
+
+  /**
+   * Append a digit and roll every window forward
+   * @param {string} symbol - Market symbol
+   * @param {number} digit - Digit 0-9
+   */
+  addDigit(symbol, digit) {
+    const { digits, counts } = this.getSeries(symbol);
+    digits.push(digit);
+    counts.forEach((count, window) => {
+      count[digit]++;
+      if (digits.length > window) count[digits[digits.length - 1 - window]]--;
+    });
+    if (digits.length > this.capacity) digits.shift();
+  }
+
+  /**
+   * Insert historical ticks before the digits already recorded for a symbol
+   * @param {string} symbol - Market symbol
+   * @param {Array<number>} quotes - Tick prices older than any recorded tick, oldest first
+   * @param {number} [pipSize] - Decimal places of the market's prices
+   */
+  backfill(symbol, quotes, pipSize) {
+    const recent = [...this.getSeries(symbol).digits];
+    this.reset(symbol);
+    quotes.slice(-this.capacity).forEach((quote) => this.addTick(symbol, quote, pipSize));
+    recent.forEach((digit) => this.addDigit(symbol, digit));
+  }
+
+  /**
+   * Forget a symbol's digits
+   * @param {string} symbol - Market symbol
+   */
+  reset(symbol) {
+    this.series.delete(symbol);
+  }
+
+  /**
+   * Length and side of the run of identical outcomes ending at the latest digit
+   * @param {Array<number>} digits - Digits, oldest first
+   * @param {Function} classify - Maps a digit to its side
+   * @returns {Object} { side, length }, side null when there are no digits
+   */
+  streak(digits, classify) {
+    if (!digits.length) return { side: null, length: 0 };
+    const side = classify(digits.at(-1));
+    let length = 0;
+    for (let i = digits.length - 1; i >= 0 && classify(digits[i]) === side; i--) length++;
+    return { side, length };
+  }
+
+  /**
+   * Digit statistics of a symbol over its most recent ticks
+   * @param {string} symbol - Market symbol
+   * @param {Object} [options] - Options
+   * @param {number} [options.window=100] - Window in ticks; must be one of the configured windows
+   * @param {number} [options.barrier=5] - Digit that separates over from under
+   * @returns {Object} { window, sampleSize, counts, frequencies, mostFrequent, leastFrequent, lastDigit,
+   *   evenRatio, overRatio, underRatio, evenOddStreak, overUnderStreak }
+   */
+  getStats(symbol, { window = 100, barrier = 5 } = {}) {
+    const { digits, counts } = this.getSeries(symbol);
+    const count = counts.get(window);
+    if (!count) {
+      throw new Error(`Digit window ${window} is not tracked; use one of ${this.windows.join(', ')}`);
+    }
+    const sampleSize = Math.min(digits.length, window);
+    const frequencies = count.map((n) => (sampleSize ? n / sampleSize : 0));
+    const ranked = count.map((n, digit) => ({ n, digit }));
+    const sum = (predicate) => count.reduce((total, n, digit) => total + (predicate(digit) ? n : 0), 0);
+
+    return {
+      window,
+      sampleSize,
+      counts: [...count],
+      frequencies,
+      // Ties go to the lowest digit so the choice is stable from tick to tick
+      mostFrequent: ranked.reduce((best, entry) => (entry.n > best.n ? entry : best)).digit,
+      leastFrequent: ranked.reduce((best, entry) => (entry.n < best.n ? entry : best)).digit,
+      lastDigit: digits.length ? digits.at(-1) : null,
+      evenRatio: sampleSize ? sum((digit) => digit % 2 === 0) / sampleSize : 0,
+      overRatio: sampleSize ? sum((digit) => digit > barrier) / sampleSize : 0,
+      underRatio: sampleSize ? sum((digit) => digit < barrier) / sampleSize : 0,
+      evenOddStreak: this.streak(digits, (digit) => (digit % 2 === 0 ? 'even' : 'odd')),
+      overUnderStreak: this.streak(digits, (digit) => (digit > barrier ? 'over' : digit < barrier ? 'under' : 'barrier')),
+    };
+  }
+}
@@ -0,0 +1,76 @@
+// equity.js - Equity recorded after each settlement and the peak-to-trough drawdown it implies
+
+/**
+ * EquityTracker - Equity points after each settlement, the running peak and current and maximum drawdown
+ * @class
+ */
+export class EquityTracker {
+  constructor({ limit = 1000 } = {}) {
+    this.limit = limit; // Points kept for display; the peak and maximum drawdown cover every point
+    this.points = []; // Array<{ time, equity }>
+    this.peak = null;
+    this.maxDrawdown = 0;
+    this.maxDrawdownPct = 0;
+  }
+
+  /**
+   * Record equity after a settlement
+   * @param {number} equity - Account equity
+   * @param {Date} [time=new Date()] - Time of the settlement
+   */
+  record(equity, time = new Date()) {
+    if (!Number.isFinite(equity)) return;
+    this.points.push({ time: time.toISOString(), equity });
+    if (this.points.length > this.limit) this.points.shift();
+    if (this.peak === null || equity > this.peak) this.peak = equity;
+
+    const { amount, percent } = this.getDrawdown();
+    this.maxDrawdown = Math.max(this.maxDrawdown, amount);
+    this.maxDrawdownPct = Math.max(this.maxDrawdownPct, percent);
+  }
+
+  /**
+   * Whether any equity has been recorded
+   * @returns {boolean} Started state
+   */
+  get isStarted() {
+    return this.peak !== null;
+  }
+
+  /**
+   * Latest recorded equity
+   * @returns {number|null} Equity or null before the first record
+   */
+  get equity() {
+    return this.points.length ? this.points[this.points.length - 1].equity : null;
+  }
+
+  /**
+   * Drawdown of the latest equity from the peak, and the deepest drawdown so far
+   * @returns {Object} { equity, peak, amount, percent, maxAmount, maxPercent }
+   */
+  getDrawdown() {
+    const equity = this.equity;
+    const amount = this.peak === null ? 0 : Math.max(0, this.peak - equity);
+    return {
+      equity,
+      peak: this.peak,
+      amount,
+      percent: this.peak > 0 ? (amount / this.peak) * 100 : 0,
+      maxAmount: this.maxDrawdown,
+      maxPercent: this.maxDrawdownPct,
+    };
+  }
+
+  /**
+   * Start over, optionally from a known equity
+   * @param {number} [equity] - Equity to start from
+   */
+  reset(equity) {
+    this.points = [];
+    this.peak = null;
+    this.maxDrawdown = 0;
+    this.maxDrawdownPct = 0;
+    if (equity !== undefined) this.record(equity);
+  }
+}
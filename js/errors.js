@@ -0,0 +1,55 @@
+// errors.js - Typed errors for Deriv API requests
+
+/**
+ * DerivApiError - The API answered a request with an error object
+ * @class
+ */
+export class DerivApiError extends Error {
+  /**
+   * @param {Object} error - API error { code, message, details? }
+   * @param {Object} request - Request that caused the error
+   */
+  constructor(error, request) {
+    super(`${error.message} (code: ${error.code}, req_id: ${request.req_id})`);
+    this.name = 'DerivApiError';
+    this.code = error.code;
+    this.details = error.details;
+    this.reqId = request.req_id;
+    this.request = request;
+  }
+}
+
+/**
+ * RequestTimeoutError - No response arrived for a request within its timeout
+ * @class
+ */
+export class RequestTimeoutError extends Error {
+  /**
+   * @param {Object} request - Request that timed out
+   * @param {number} timeout - Timeout in milliseconds
+   */
+  constructor(request, timeout) {
+    super(`No response to ${Object.keys(request)[0]} within ${timeout}ms (req_id: ${request.req_id})`);
+    this.name = 'RequestTimeoutError';
+    this.reqId = request.req_id;
+    this.request = request;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * ConnectionError - The request could not be sent, or the connection closed before it was answered
+ * @class
+ */
+export class ConnectionError extends Error {
+  /**
+   * @param {string} message - Reason
+   * @param {Object} [request] - Affected request
+   */
+  constructor(message, request) {
+    super(request ? `${message} (req_id: ${request.req_id})` : message);
+    this.name = 'ConnectionError';
+    this.reqId = request?.req_id;
+    this.request = request;
+  }
+}
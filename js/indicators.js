@@ -1,10 +1,27 @@
+import { RunningEMA, WilderRSI, RollingStats, RunningOBV, WilderADX } from './streaming.js';
+
+const HISTORY_LIMIT = 500; // Maximum indicator points kept per symbol and timeframe
+
 /**
  * IndicatorManager - Calculates technical indicators and correlations for trading
  * @class
  */
 export class IndicatorManager {
   constructor() {
-    this.indicators = {
+    this.states = new Map(); // Map<'symbol@timeframe', { indicators, history, stream }>
+    this.correlations = new Map();
+    this.correlationStamps = new Map(); // Map<pair, last closed candle times the correlation was computed at>
+    this.log = (message, type = 'info') => {
+      window.derivBot?.log(`[IndicatorManager] ${message}`, type);
+    };
+  }
+
+  /**
+   * Create an empty indicator snapshot
+   * @returns {Object} Indicator values, all zero
+   */
+  createIndicators() {
+    return {
       rsi: 0,
       movingAverage: 0,
       volatility: 0,
@@ -12,20 +29,74 @@ export class IndicatorManager {
       macd: { line: 0, signal: 0, histogram: 0 },
       stochastic: { k: 0, d: 0 },
       adx: 0,
+      plusDI: 0,
+      minusDI: 0,
+      atr: 0,
       obv: 0,
       sentiment: 0,
     };
-    this.correlations = new Map();
-    this.log = (message, type = 'info') => {
-      window.derivBot?.log(`[IndicatorManager] ${message}`, type);
+  }
+
+  /**
+   * Build the state key for a symbol and timeframe
+   * @param {string} symbol - Market symbol
+   * @param {number} [timeframe] - Candle timeframe in seconds
+   * @returns {string} State key
+   */
+  stateKey(symbol, timeframe) {
+    return timeframe ? `${symbol}@${timeframe}` : symbol;
+  }
+
+  /**
+   * Create the streaming calculators behind one indicator state
+   * @returns {Object} Stream { lastClosedTime, ema12, ema26, signal, rsi, window20, window10, obv, adx, stochasticKs }
+   */
+  createStream() {
+    return {
+      lastClosedTime: -Infinity, // Time of the last candle committed to the calculators
+      ema12: new RunningEMA(12),
+      ema26: new RunningEMA(26),
+      signal: new RunningEMA(9),
+      rsi: new WilderRSI(14),
+      window20: new RollingStats(20),
+      window10: new RollingStats(10),
+      obv: new RunningOBV(),
+      adx: new WilderADX(14),
+      stochasticKs: [], // Last two committed %K values
     };
   }
 
+  /**
+   * Get or create the indicator state for a symbol and timeframe
+   * @param {string} symbol - Market symbol
+   * @param {number} [timeframe] - Candle timeframe in seconds
+   * @returns {Object} State { indicators, history, stream }
+   */
+  getState(symbol, timeframe) {
+    const key = this.stateKey(symbol, timeframe);
+    if (!this.states.has(key)) {
+      this.states.set(key, { indicators: this.createIndicators(), history: [], stream: this.createStream() });
+    }
+    return this.states.get(key);
+  }
+
+  /**
+   * Discard indicator state for a symbol on every timeframe, e.g. after its candles were bulk-loaded
+   * @param {string} symbol - Market symbol
+   */
+  resetSymbol(symbol) {
+    Array.from(this.states.keys()).forEach((key) => {
+      if (key === symbol || key.startsWith(`${symbol}@`)) this.states.delete(key);
+    });
+  }
+
   /**
    * Update indicators based on candle data
    * @param {Array<Object>} candles - Array of candle objects
+   * @param {string} [symbol='default'] - Market symbol the candles belong to
+   * @param {number} [timeframe] - Candle timeframe in seconds
    */
-  updateIndicators(candles) {
+  updateIndicators(candles, symbol = 'default', timeframe = undefined) {
     try {
       if (!Array.isArray(candles)) {
         this.log('Candles parameter is undefined or not an array', 'error');
@@ -36,44 +107,217 @@ export class IndicatorManager {
         return;
       }
 
-      const closes = candles.map((c) => c.close);
-      this.indicators.rsi = this.calculateRSI(closes);
-      this.indicators.movingAverage = this.calculateMA(closes, 20);
-      this.indicators.volatility = this.calculateVolatility(closes);
-      this.indicators.bollingerBands = this.calculateBollingerBands(closes);
-      this.indicators.macd = this.calculateMACD(closes);
-      this.indicators.stochastic = this.calculateStochastic(candles);
-      this.indicators.adx = this.calculateADX(candles);
-      this.indicators.obv = this.calculateOBV(candles);
-      this.indicators.sentiment = this.calculateSentiment(closes);
-
-      this.log('Indicators updated', 'debug');
+      const state = this.getState(symbol, timeframe);
+      const point = this.updateHistory(candles, state);
+      state.indicators = {
+        rsi: point.rsi ?? 0,
+        movingAverage: point.movingAverage ?? 0,
+        volatility: point.volatility ?? 0,
+        bollingerBands: point.bollingerBands ? { ...point.bollingerBands } : { upper: 0, middle: 0, lower: 0 },
+        macd: {
+          line: point.macd.line ?? 0,
+          signal: point.macd.signal ?? 0,
+          histogram: point.macd.histogram ?? 0,
+        },
+        stochastic: {
+          k: point.stochastic.k ?? 0,
+          d: point.stochastic.d ?? 0,
+        },
+        adx: point.adx,
+        plusDI: point.plusDI,
+        minusDI: point.minusDI,
+        atr: point.atr,
+        obv: point.obv,
+        sentiment: point.sentiment ?? 0,
+      };
+
+      this.log(`Indicators updated for ${this.stateKey(symbol, timeframe)}`, 'debug');
     } catch (error) {
       this.log(`Error updating indicators: ${error.message}`, 'error');
     }
   }
 
   /**
-   * Calculate RSI (Relative Strength Index)
+   * Bring an indicator state up to date with its candles.
+   * Candles that closed since the last call are committed to the streaming calculators, normally
+   * zero or one per tick; the still-forming last candle is only previewed, so each update is constant time.
+   * @param {Array<Object>} candles - Array of candle objects, oldest first
+   * @param {Object} state - Indicator state from getState
+   * @returns {Object} Indicator point for the last candle
+   */
+  updateHistory(candles, state) {
+    const last = candles.length - 1;
+    const timeAt = (i) => new Date(candles[i].time).getTime();
+    if (timeAt(last) <= state.stream.lastClosedTime) {
+      // The series was rebuilt behind the stream; start over from the candles given
+      state.stream = this.createStream();
+      state.history.length = 0;
+    }
+
+    let start = last;
+    while (start > 0 && timeAt(start - 1) > state.stream.lastClosedTime) start--;
+    for (let i = start; i < last; i++) {
+      this.upsertPoint(state.history, this.calculateHistoryPoint(candles, i, state.stream, true));
+      state.stream.lastClosedTime = timeAt(i);
+    }
+    this.upsertPoint(state.history, this.calculateHistoryPoint(candles, last, state.stream, false));
+
+    if (state.history.length > HISTORY_LIMIT) {
+      state.history.splice(0, state.history.length - HISTORY_LIMIT);
+    }
+    return state.history[state.history.length - 1];
+  }
+
+  /**
+   * Replace the last history point if it belongs to the same candle, otherwise append
+   * @param {Array<Object>} history - Indicator points
+   * @param {Object} point - Indicator point
+   */
+  upsertPoint(history, point) {
+    const lastPoint = history[history.length - 1];
+    if (lastPoint && lastPoint.time.getTime() === point.time.getTime()) {
+      history[history.length - 1] = point;
+    } else {
+      history.push(point);
+    }
+  }
+
+  /**
+   * Advance the streaming calculators by one candle
+   * @param {Array<Object>} candles - Array of candle objects
+   * @param {number} index - Index of the candle to calculate
+   * @param {Object} stream - Streaming calculators from createStream
+   * @param {boolean} commit - Commit the candle (closed) or only preview it (still forming)
+   * @returns {Object} Indicator point { time, close, rsi, movingAverage, volatility, bollingerBands, ema12, ema26, macd, stochastic, adx, plusDI, minusDI, atr, obv, sentiment }
+   */
+  calculateHistoryPoint(candles, index, stream, commit) {
+    const method = commit ? 'update' : 'peek';
+    const candle = candles[index];
+    const close = candle.close;
+
+    const ema12 = stream.ema12[method](close);
+    const ema26 = stream.ema26[method](close);
+    const line = ema12 !== null && ema26 !== null ? ema12 - ema26 : null;
+    const signal = line !== null ? stream.signal[method](line) : null;
+
+    const k = this.calculateStochasticK(candles.slice(Math.max(0, index - 13), index + 1));
+    const ks = [...stream.stochasticKs, k];
+    const d = ks.length === 3 && ks.every((v) => v !== null) ? ks.reduce((sum, v) => sum + v, 0) / 3 : null;
+    if (commit) {
+      stream.stochasticKs = ks.slice(-2);
+    }
+
+    const stats20 = stream.window20[method](close);
+    const stats10 = stream.window10[method](close);
+    let sentiment = null;
+    if (stats20) {
+      // The older half of the 20-candle window is whatever the last 10 candles do not cover
+      const olderAvg = (stats20.mean * 20 - stats10.mean * 10) / 10;
+      sentiment = (stats10.mean - olderAvg) / olderAvg * 100;
+    }
+
+    return {
+      time: new Date(candle.time),
+      close,
+      rsi: stream.rsi[method](close),
+      movingAverage: stats20 ? stats20.mean : null,
+      volatility: stats20 ? stats20.stdDev / stats20.mean * 100 : null,
+      bollingerBands: stats20 ? {
+        upper: stats20.mean + 2 * stats20.stdDev,
+        middle: stats20.mean,
+        lower: stats20.mean - 2 * stats20.stdDev,
+      } : null,
+      ema12,
+      ema26,
+      macd: { line, signal, histogram: line !== null && signal !== null ? line - signal : null },
+      stochastic: { k, d },
+      ...stream.adx[method](candle),
+      obv: stream.obv[method](close, candle.volume),
+      sentiment,
+    };
+  }
+
+  /**
+   * Advance an EMA by one value, seeding it with the SMA of the first full period
+   * @param {number} value - New value
+   * @param {number|null} prevEma - Previous EMA or null if not yet seeded
+   * @param {Array<number>} values - Recent values including the new one, used for the seed
+   * @param {number} period - EMA period
+   * @returns {number|null} EMA value or null if fewer than period values exist
+   */
+  nextEMA(value, prevEma, values, period) {
+    if (prevEma !== null) {
+      const k = 2 / (period + 1);
+      return value * k + prevEma * (1 - k);
+    }
+    return values.length >= period ? this.calculateMA(values, period) : null;
+  }
+
+  /**
+   * Get the full indicator series for a symbol, one entry per candle, for charting
+   * @param {string} [symbol='default'] - Market symbol
+   * @param {number} [timeframe] - Candle timeframe in seconds
+   * @param {number} [limit=Infinity] - Maximum number of most recent points
+   * @returns {Object} Parallel arrays { time, close, rsi, movingAverage, bollingerUpper, bollingerMiddle, bollingerLower, macdLine, macdSignal, macdHistogram, stochasticK, stochasticD }
+   */
+  getIndicatorSeries(symbol = 'default', timeframe = undefined, limit = Infinity) {
+    const points = (this.states.get(this.stateKey(symbol, timeframe))?.history || []).slice(-limit);
+    return {
+      time: points.map((p) => p.time),
+      close: points.map((p) => p.close),
+      rsi: points.map((p) => p.rsi),
+      movingAverage: points.map((p) => p.movingAverage),
+      bollingerUpper: points.map((p) => p.bollingerBands?.upper ?? null),
+      bollingerMiddle: points.map((p) => p.bollingerBands?.middle ?? null),
+      bollingerLower: points.map((p) => p.bollingerBands?.lower ?? null),
+      macdLine: points.map((p) => p.macd.line),
+      macdSignal: points.map((p) => p.macd.signal),
+      macdHistogram: points.map((p) => p.macd.histogram),
+      stochasticK: points.map((p) => p.stochastic.k),
+      stochasticD: points.map((p) => p.stochastic.d),
+    };
+  }
+
+  /**
+   * Get the latest indicator points for a symbol: closed candles, then the forming one
+   * @param {string} [symbol='default'] - Market symbol
+   * @param {number} [timeframe] - Candle timeframe in seconds
+   * @param {number} [limit=2] - Maximum number of most recent points
+   * @returns {Array<Object>} Points as returned by calculateHistoryPoint, oldest first
+   */
+  getHistory(symbol = 'default', timeframe = undefined, limit = 2) {
+    return (this.states.get(this.stateKey(symbol, timeframe))?.history || []).slice(-limit);
+  }
+
+  /**
+   * Calculate Wilder's RSI (Relative Strength Index) over a full price series
    * @param {Array<number>} closes - Array of closing prices
-   * @returns {number} RSI value
+   * @param {number} [period=14] - RSI period
+   * @returns {number} RSI value, 0 if fewer than period + 1 closes exist
    */
-  calculateRSI(closes) {
-    if (!Array.isArray(closes) || closes.length < 14) return 0;
-    const period = 14;
-    let gains = 0;
-    let losses = 0;
-
-    for (let i = 1; i <= period; i++) {
-      const diff = closes[closes.length - i] - closes[closes.length - i - 1];
-      if (diff > 0) gains += diff;
-      else losses -= diff;
+  calculateRSI(closes, period = 14) {
+    if (!Array.isArray(closes) || closes.length < period + 1) return 0;
+    let avgGain = 0;
+    let avgLoss = 0;
+
+    for (let i = 1; i < closes.length; i++) {
+      const diff = closes[i] - closes[i - 1];
+      const gain = diff > 0 ? diff : 0;
+      const loss = diff < 0 ? -diff : 0;
+      if (i <= period) {
+        avgGain += gain;
+        avgLoss += loss;
+        if (i === period) {
+          avgGain /= period;
+          avgLoss /= period;
+        }
+      } else {
+        avgGain = (avgGain * (period - 1) + gain) / period;
+        avgLoss = (avgLoss * (period - 1) + loss) / period;
+      }
     }
 
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-    const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
+    return WilderRSI.fromAverages(avgGain, avgLoss);
   }
 
   /**
@@ -120,17 +364,35 @@ export class IndicatorManager {
   }
 
   /**
-   * Calculate MACD
+   * Calculate MACD over a full price series
    * @param {Array<number>} closes - Array of closing prices
-   * @returns {Object} { line, signal, histogram }
+   * @returns {Object} { line, signal, histogram } - signal and histogram stay 0 until 34 closes are available
    */
   calculateMACD(closes) {
     if (!Array.isArray(closes) || closes.length < 26) return { line: 0, signal: 0, histogram: 0 };
-    const ema12 = this.calculateEMA(closes, 12);
-    const ema26 = this.calculateEMA(closes, 26);
-    const line = ema12 - ema26;
-    const signal = this.calculateEMA(closes.slice(-9).map(() => line), 9);
-    return { line, signal, histogram: line - signal };
+    const ema12 = this.calculateEMASeries(closes, 12);
+    const ema26 = this.calculateEMASeries(closes, 26);
+    const lines = ema26.map((slow, i) => (slow === null ? null : ema12[i] - slow)).filter((v) => v !== null);
+    const signals = this.calculateEMASeries(lines, 9);
+    const line = lines[lines.length - 1];
+    const signal = signals[signals.length - 1];
+    return signal === null ? { line, signal: 0, histogram: 0 } : { line, signal, histogram: line - signal };
+  }
+
+  /**
+   * Calculate an EMA series seeded with the SMA of the first full period
+   * @param {Array<number>} prices - Array of prices
+   * @param {number} period - EMA period
+   * @returns {Array<number|null>} EMA per price, null before the seed
+   */
+  calculateEMASeries(prices, period) {
+    const series = [];
+    let ema = null;
+    prices.forEach((price, i) => {
+      ema = this.nextEMA(price, ema, prices.slice(Math.max(0, i + 1 - period), i + 1), period);
+      series.push(ema);
+    });
+    return series;
   }
 
   /**
@@ -152,29 +414,92 @@ export class IndicatorManager {
   /**
    * Calculate Stochastic Oscillator
    * @param {Array<Object>} candles - Array of candle objects
-   * @returns {Object} { k, d }
+   * @returns {Object} { k, d } - %D averages the last three %K values available
    */
   calculateStochastic(candles) {
     if (!Array.isArray(candles) || candles.length < 14) return { k: 0, d: 0 };
-    const period = 14;
+    const ks = [];
+    for (let end = Math.max(14, candles.length - 2); end <= candles.length; end++) {
+      ks.push(this.calculateStochasticK(candles.slice(0, end)));
+    }
+    const k = ks[ks.length - 1];
+    const d = ks.reduce((sum, v) => sum + v, 0) / ks.length;
+    return { k, d };
+  }
+
+  /**
+   * Calculate Stochastic %K for the last candle
+   * @param {Array<Object>} candles - Array of candle objects
+   * @param {number} [period=14] - Lookback period
+   * @returns {number|null} %K value or null if fewer than period candles exist
+   */
+  calculateStochasticK(candles, period = 14) {
+    if (candles.length < period) return null;
     const slice = candles.slice(-period);
     const highestHigh = Math.max(...slice.map((c) => c.high));
     const lowestLow = Math.min(...slice.map((c) => c.low));
     const currentClose = slice[slice.length - 1].close;
-    const k = ((currentClose - lowestLow) / (highestHigh - lowestLow)) * 100;
-    const d = this.calculateMA(candles.slice(-3).map(() => k), 3);
-    return { k, d };
+    return highestHigh === lowestLow ? 50 : ((currentClose - lowestLow) / (highestHigh - lowestLow)) * 100;
   }
 
   /**
-   * Calculate ADX (Average Directional Index)
+   * Calculate Wilder's ADX (Average Directional Index) with +DI, -DI and ATR
    * @param {Array<Object>} candles - Array of candle objects
-   * @returns {number} ADX value
+   * @param {number} [period=14] - Smoothing period
+   * @returns {Object} { adx, plusDI, minusDI, atr } - ADX needs 2 * period candles, DI and ATR need period + 1
    */
-  calculateADX(candles) {
-    if (!Array.isArray(candles) || candles.length < 14) return 0;
-    // Simplified ADX calculation (placeholder)
-    return 20; // Replace with actual ADX logic if needed
+  calculateADX(candles, period = 14) {
+    const result = { adx: 0, plusDI: 0, minusDI: 0, atr: 0 };
+    if (!Array.isArray(candles) || candles.length < period + 1) return result;
+
+    let smoothedTR = 0;
+    let smoothedPlusDM = 0;
+    let smoothedMinusDM = 0;
+    let adx = 0;
+    let dxCount = 0;
+
+    for (let i = 1; i < candles.length; i++) {
+      const current = candles[i];
+      const prev = candles[i - 1];
+      const tr = Math.max(current.high - current.low, Math.abs(current.high - prev.close), Math.abs(current.low - prev.close));
+      const upMove = current.high - prev.high;
+      const downMove = prev.low - current.low;
+      const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+      const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+
+      if (i <= period) {
+        // Seed the Wilder sums with the first full period
+        smoothedTR += tr;
+        smoothedPlusDM += plusDM;
+        smoothedMinusDM += minusDM;
+        if (i < period) continue;
+      } else {
+        smoothedTR = smoothedTR - smoothedTR / period + tr;
+        smoothedPlusDM = smoothedPlusDM - smoothedPlusDM / period + plusDM;
+        smoothedMinusDM = smoothedMinusDM - smoothedMinusDM / period + minusDM;
+      }
+
+      const plusDI = smoothedTR > 0 ? (smoothedPlusDM / smoothedTR) * 100 : 0;
+      const minusDI = smoothedTR > 0 ? (smoothedMinusDM / smoothedTR) * 100 : 0;
+      const diSum = plusDI + minusDI;
+      const dx = diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+
+      dxCount++;
+      if (dxCount < period) {
+        adx += dx;
+      } else if (dxCount === period) {
+        adx = (adx + dx) / period;
+        result.adx = adx;
+      } else {
+        adx = (adx * (period - 1) + dx) / period;
+        result.adx = adx;
+      }
+      result.plusDI = plusDI;
+      result.minusDI = minusDI;
+      result.atr = smoothedTR / period;
+    }
+
+    return result;
   }
 
   /**
@@ -210,7 +535,8 @@ export class IndicatorManager {
   }
 
   /**
-   * Update correlations between symbols
+   * Update correlations between symbols over their last 50 closed candles.
+   * A pair is only recomputed once one of its symbols closes a new candle.
    * @param {Map<string, Array<Object>>} candlesMap - Map of symbol to candles
    */
   updateCorrelations(candlesMap) {
@@ -219,22 +545,35 @@ export class IndicatorManager {
         this.log('Invalid candlesMap: not a Map', 'error');
         return;
       }
-      this.correlations.clear();
       const symbols = Array.from(candlesMap.keys());
+      const pairs = new Set();
       for (let i = 0; i < symbols.length; i++) {
         for (let j = i + 1; j < symbols.length; j++) {
           const symbol1 = symbols[i];
           const symbol2 = symbols[j];
-          const closes1 = candlesMap.get(symbol1)?.slice(-50)?.map((c) => c.close) || [];
-          const closes2 = candlesMap.get(symbol2)?.slice(-50)?.map((c) => c.close) || [];
-          if (closes1.length < 50 || closes2.length < 50) {
+          const pair = `${symbol1}-${symbol2}`;
+          pairs.add(pair);
+          const closed1 = candlesMap.get(symbol1)?.slice(-51, -1) || [];
+          const closed2 = candlesMap.get(symbol2)?.slice(-51, -1) || [];
+          if (closed1.length < 50 || closed2.length < 50) {
             this.log(`Insufficient data for correlation: ${symbol1}-${symbol2}`, 'warning');
+            this.correlations.delete(pair);
+            this.correlationStamps.delete(pair);
             continue;
           }
-          const correlation = this.calculateCorrelation(closes1, closes2);
-          this.correlations.set(`${symbol1}-${symbol2}`, correlation);
+          const stamp = `${new Date(closed1[49].time).getTime()}:${new Date(closed2[49].time).getTime()}`;
+          if (this.correlationStamps.get(pair) === stamp) continue;
+          const correlation = this.calculateCorrelation(closed1.map((c) => c.close), closed2.map((c) => c.close));
+          this.correlations.set(pair, correlation);
+          this.correlationStamps.set(pair, stamp);
         }
       }
+      Array.from(this.correlations.keys()).forEach((pair) => {
+        if (!pairs.has(pair)) {
+          this.correlations.delete(pair);
+          this.correlationStamps.delete(pair);
+        }
+      });
       this.log('Correlations updated', 'debug');
     } catch (error) {
       this.log(`Error updating correlations: ${error.message}`, 'error');
@@ -268,11 +607,14 @@ export class IndicatorManager {
   }
 
   /**
-   * Get current indicators
-   * @returns {Object} Current indicator values
+   * Get current indicators for a symbol
+   * @param {string} [symbol='default'] - Market symbol
+   * @param {number} [timeframe] - Candle timeframe in seconds
+   * @returns {Object} Current indicator values, all zero if the symbol has not been updated yet
    */
-  getIndicators() {
-    return { ...this.indicators };
+  getIndicators(symbol = 'default', timeframe = undefined) {
+    const state = this.states.get(this.stateKey(symbol, timeframe));
+    return state ? { ...state.indicators } : this.createIndicators();
   }
 
   /**
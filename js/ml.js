@@ -89,3 +89,603 @@ export function predictTrade(indicators, marketConditions) {
     return { shouldTrade: false, tradeType: 'CALL', confidence: 0, reason: 'Prediction error', features: {} };
   }
 }
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+const clampProbability = (p) => Math.min(1 - 1e-6, Math.max(1e-6, p));
+const logit = (p) => Math.log(clampProbability(p) / (1 - clampProbability(p)));
+
+/**
+ * Normalize importance scores so they sum to 1
+ * @param {Array<number>} scores - Non-negative scores
+ * @returns {Array<number>} Normalized scores
+ */
+function normalizeImportance(scores) {
+  const total = scores.reduce((sum, v) => sum + v, 0);
+  return scores.map((v) => (total > 0 ? v / total : 0));
+}
+
+/**
+ * Calculate the area under the ROC curve (Mann-Whitney statistic, ties count half)
+ * @param {Array<number>} labels - Binary labels
+ * @param {Array<number>} scores - Predicted scores
+ * @returns {number|null} AUC or null if only one class is present
+ */
+export function calculateAUC(labels, scores) {
+  const ranked = scores.map((score, i) => ({ score, label: labels[i] })).sort((a, b) => a.score - b.score);
+  let rankSum = 0;
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j < ranked.length && ranked[j].score === ranked[i].score) j++;
+    const averageRank = (i + j + 1) / 2; // Ranks are 1-based
+    for (let k = i; k < j; k++) {
+      if (ranked[k].label === 1) rankSum += averageRank;
+    }
+    i = j;
+  }
+  const positives = labels.filter((label) => label === 1).length;
+  const negatives = labels.length - positives;
+  if (!positives || !negatives) return null;
+  return (rankSum - positives * (positives + 1) / 2) / (positives * negatives);
+}
+
+/**
+ * LogisticRegression - L2-regularized logistic regression on standardized features
+ * @class
+ */
+export class LogisticRegression {
+  constructor({ learningRate = 0.1, epochs = 300, l2 = 0.01 } = {}) {
+    this.learningRate = learningRate;
+    this.epochs = epochs;
+    this.l2 = l2;
+    this.weights = [];
+    this.bias = 0;
+    this.means = [];
+    this.stds = [];
+  }
+
+  /**
+   * Standardize a feature vector with the training means and deviations
+   * @param {Array<number>} x - Feature vector
+   * @returns {Array<number>} Standardized vector
+   */
+  standardize(x) {
+    return x.map((v, i) => (v - this.means[i]) / this.stds[i]);
+  }
+
+  /**
+   * Fit the model with batch gradient descent
+   * @param {Array<Array<number>>} X - Feature vectors
+   * @param {Array<number>} y - Binary labels
+   * @returns {LogisticRegression} This model
+   */
+  fit(X, y) {
+    const n = X.length;
+    const d = X[0].length;
+    this.means = Array.from({ length: d }, (_, j) => X.reduce((sum, x) => sum + x[j], 0) / n);
+    this.stds = this.means.map((mean, j) => Math.sqrt(X.reduce((sum, x) => sum + ((x[j] - mean) ** 2), 0) / n) || 1);
+    const Z = X.map((x) => this.standardize(x));
+    this.weights = new Array(d).fill(0);
+    this.bias = 0;
+
+    for (let epoch = 0; epoch < this.epochs; epoch++) {
+      const gradient = new Array(d).fill(0);
+      let biasGradient = 0;
+      Z.forEach((z, i) => {
+        const error = sigmoid(this.bias + z.reduce((sum, v, j) => sum + v * this.weights[j], 0)) - y[i];
+        z.forEach((v, j) => { gradient[j] += error * v; });
+        biasGradient += error;
+      });
+      this.weights = this.weights.map((w, j) => w - this.learningRate * (gradient[j] / n + this.l2 * w));
+      this.bias -= this.learningRate * biasGradient / n;
+    }
+    return this;
+  }
+
+  /**
+   * Predict the probability of the positive class
+   * @param {Array<number>} x - Feature vector
+   * @returns {number} Probability between 0 and 1
+   */
+  predictProba(x) {
+    const z = this.standardize(x);
+    return sigmoid(this.bias + z.reduce((sum, v, j) => sum + v * this.weights[j], 0));
+  }
+
+  /**
+   * Get feature importance from absolute standardized weights
+   * @returns {Array<number>} Importance per feature, summing to 1
+   */
+  featureImportance() {
+    return normalizeImportance(this.weights.map(Math.abs));
+  }
+
+  /**
+   * Serialize the model
+   * @returns {Object} Plain object with weights and scaling
+   */
+  toJSON() {
+    return { weights: this.weights, bias: this.bias, means: this.means, stds: this.stds };
+  }
+
+  /**
+   * Restore a serialized model
+   * @param {Object} json - Output of toJSON
+   * @returns {LogisticRegression} Model
+   */
+  static fromJSON(json) {
+    return Object.assign(new LogisticRegression(), json);
+  }
+}
+
+/**
+ * GradientBoostedTrees - Small ensemble of depth-limited regression trees boosted on log loss
+ * @class
+ */
+export class GradientBoostedTrees {
+  constructor({ nEstimators = 40, learningRate = 0.1, maxDepth = 2, minSamplesLeaf = 5, bins = 16, lambda = 1 } = {}) {
+    this.nEstimators = nEstimators;
+    this.learningRate = learningRate;
+    this.maxDepth = maxDepth;
+    this.minSamplesLeaf = minSamplesLeaf;
+    this.bins = bins; // Candidate split thresholds per feature, taken at quantiles
+    this.lambda = lambda; // L2 regularization on leaf values
+    this.baseScore = 0;
+    this.trees = [];
+    this.gains = [];
+  }
+
+  /**
+   * Fit the ensemble with Newton boosting on the logistic loss
+   * @param {Array<Array<number>>} X - Feature vectors
+   * @param {Array<number>} y - Binary labels
+   * @returns {GradientBoostedTrees} This model
+   */
+  fit(X, y) {
+    const n = X.length;
+    const d = X[0].length;
+    const prior = clampProbability(y.reduce((sum, v) => sum + v, 0) / n);
+    this.baseScore = logit(prior);
+    this.trees = [];
+    this.gains = new Array(d).fill(0);
+
+    const thresholds = Array.from({ length: d }, (_, j) => {
+      const values = [...new Set(X.map((x) => x[j]))].sort((a, b) => a - b);
+      const step = Math.max(1, Math.floor(values.length / this.bins));
+      const candidates = [];
+      for (let i = step; i < values.length; i += step) {
+        candidates.push((values[i - 1] + values[i]) / 2);
+      }
+      return candidates;
+    });
+
+    const scores = new Array(n).fill(this.baseScore);
+    const indices = Array.from({ length: n }, (_, i) => i);
+    for (let m = 0; m < this.nEstimators; m++) {
+      const probabilities = scores.map(sigmoid);
+      const gradients = probabilities.map((p, i) => y[i] - p);
+      const hessians = probabilities.map((p) => p * (1 - p));
+      const tree = this.buildTree(X, gradients, hessians, indices, thresholds, 0);
+      this.trees.push(tree);
+      X.forEach((x, i) => { scores[i] += this.learningRate * this.predictTree(tree, x); });
+    }
+    return this;
+  }
+
+  /**
+   * Grow one regression tree on the current gradients
+   * @param {Array<Array<number>>} X - Feature vectors
+   * @param {Array<number>} gradients - Residuals y - p
+   * @param {Array<number>} hessians - Second derivatives p * (1 - p)
+   * @param {Array<number>} indices - Samples reaching this node
+   * @param {Array<Array<number>>} thresholds - Candidate thresholds per feature
+   * @param {number} depth - Current depth
+   * @returns {Object} Node { value } or { feature, threshold, left, right }
+   */
+  buildTree(X, gradients, hessians, indices, thresholds, depth) {
+    const sumG = indices.reduce((sum, i) => sum + gradients[i], 0);
+    const sumH = indices.reduce((sum, i) => sum + hessians[i], 0);
+    const leaf = { value: sumG / (sumH + this.lambda) };
+    if (depth >= this.maxDepth || indices.length < 2 * this.minSamplesLeaf) return leaf;
+
+    const parentScore = (sumG ** 2) / (sumH + this.lambda);
+    let best = null;
+    thresholds.forEach((candidates, feature) => {
+      candidates.forEach((threshold) => {
+        let leftG = 0;
+        let leftH = 0;
+        let leftCount = 0;
+        indices.forEach((i) => {
+          if (X[i][feature] <= threshold) {
+            leftG += gradients[i];
+            leftH += hessians[i];
+            leftCount++;
+          }
+        });
+        const rightCount = indices.length - leftCount;
+        if (leftCount < this.minSamplesLeaf || rightCount < this.minSamplesLeaf) return;
+        const gain = (leftG ** 2) / (leftH + this.lambda) +
+                     ((sumG - leftG) ** 2) / (sumH - leftH + this.lambda) - parentScore;
+        if (gain > 0 && (!best || gain > best.gain)) {
+          best = { feature, threshold, gain };
+        }
+      });
+    });
+    if (!best) return leaf;
+
+    this.gains[best.feature] += best.gain;
+    const left = indices.filter((i) => X[i][best.feature] <= best.threshold);
+    const right = indices.filter((i) => X[i][best.feature] > best.threshold);
+    return {
+      feature: best.feature,
+      threshold: best.threshold,
+      left: this.buildTree(X, gradients, hessians, left, thresholds, depth + 1),
+      right: this.buildTree(X, gradients, hessians, right, thresholds, depth + 1),
+    };
+  }
+
+  /**
+   * Evaluate one tree
+   * @param {Object} node - Tree node
+   * @param {Array<number>} x - Feature vector
+   * @returns {number} Leaf value
+   */
+  predictTree(node, x) {
+    let current = node;
+    while (current.value === undefined) {
+      current = x[current.feature] <= current.threshold ? current.left : current.right;
+    }
+    return current.value;
+  }
+
+  /**
+   * Predict the probability of the positive class
+   * @param {Array<number>} x - Feature vector
+   * @returns {number} Probability between 0 and 1
+   */
+  predictProba(x) {
+    return sigmoid(this.trees.reduce((score, tree) => score + this.learningRate * this.predictTree(tree, x), this.baseScore));
+  }
+
+  /**
+   * Get feature importance from total split gain
+   * @returns {Array<number>} Importance per feature, summing to 1
+   */
+  featureImportance() {
+    return normalizeImportance(this.gains);
+  }
+
+  /**
+   * Serialize the ensemble
+   * @returns {Object} Plain object with trees
+   */
+  toJSON() {
+    return { learningRate: this.learningRate, baseScore: this.baseScore, trees: this.trees, gains: this.gains };
+  }
+
+  /**
+   * Restore a serialized ensemble
+   * @param {Object} json - Output of toJSON
+   * @returns {GradientBoostedTrees} Model
+   */
+  static fromJSON(json) {
+    return Object.assign(new GradientBoostedTrees(), json);
+  }
+}
+
+/**
+ * TradeModel - Averages logistic regression and boosted trees, calibrated with Platt scaling
+ * on the older half of a chronological hold-out set and evaluated on the newer half
+ * @class
+ */
+export class TradeModel {
+  constructor({ featureNames = [], validationSplit = 0.2, minSamples = 50 } = {}) {
+    this.featureNames = featureNames;
+    this.validationSplit = validationSplit;
+    this.minSamples = minSamples;
+    this.logistic = null;
+    this.trees = null;
+    this.calibration = { a: 1, b: 0 }; // p = sigmoid(a * logit(raw) + b)
+    this.metrics = null;
+  }
+
+  /**
+   * Whether the model has been trained or restored
+   * @returns {boolean} True if predictions are available
+   */
+  isTrained() {
+    return Boolean(this.logistic && this.trees);
+  }
+
+  /**
+   * Train on a labelled dataset, oldest sample first, holding out the most recent samples for calibration
+   * and validation. Accuracy and AUC are measured on samples the calibration has not seen.
+   * @param {{features: Array<Array<number>>, labels: Array<number>}} dataset - Training data
+   * @returns {Object} Metrics { samples, trainSize, calibrationSize, validationSize, accuracy, auc, trainedAt }
+   */
+  train({ features, labels }) {
+    if (features.length < this.minSamples) {
+      throw new Error(`Need at least ${this.minSamples} labelled trades, have ${features.length}`);
+    }
+    const split = Math.floor(features.length * (1 - this.validationSplit));
+    const trainX = features.slice(0, split);
+    const trainY = labels.slice(0, split);
+    const calibrationEnd = split + Math.floor((features.length - split) / 2);
+    const calibrationX = features.slice(split, calibrationEnd);
+    const calibrationY = labels.slice(split, calibrationEnd);
+    const validX = features.slice(calibrationEnd);
+    const validY = labels.slice(calibrationEnd);
+    if (!trainY.includes(0) || !trainY.includes(1)) {
+      throw new Error('Training set needs both wins and losses');
+    }
+
+    this.logistic = new LogisticRegression().fit(trainX, trainY);
+    this.trees = new GradientBoostedTrees().fit(trainX, trainY);
+    this.calibration = this.fitCalibration(calibrationX.map((x) => this.rawProbability(x)), calibrationY);
+
+    const probabilities = validX.map((x) => this.predict(x));
+    const correct = probabilities.filter((p, i) => (p >= 0.5 ? 1 : 0) === validY[i]).length;
+    this.metrics = {
+      samples: features.length,
+      trainSize: trainX.length,
+      calibrationSize: calibrationX.length,
+      validationSize: validX.length,
+      accuracy: validX.length ? correct / validX.length : 0,
+      auc: calculateAUC(validY, probabilities),
+      trainedAt: new Date().toISOString(),
+    };
+    return this.metrics;
+  }
+
+  /**
+   * Fit Platt scaling on hold-out predictions, using Platt's smoothed targets to avoid overconfidence
+   * @param {Array<number>} raw - Uncalibrated probabilities
+   * @param {Array<number>} labels - Binary labels
+   * @returns {Object} Calibration { a, b }
+   */
+  fitCalibration(raw, labels) {
+    const positives = labels.filter((label) => label === 1).length;
+    const negatives = labels.length - positives;
+    if (!positives || !negatives) return { a: 1, b: 0 };
+    const high = (positives + 1) / (positives + 2);
+    const low = 1 / (negatives + 2);
+    const targets = labels.map((label) => (label === 1 ? high : low));
+    const scores = raw.map(logit);
+
+    let a = 1;
+    let b = 0;
+    for (let i = 0; i < 500; i++) {
+      let gradA = 0;
+      let gradB = 0;
+      scores.forEach((s, j) => {
+        const error = sigmoid(a * s + b) - targets[j];
+        gradA += error * s;
+        gradB += error;
+      });
+      a -= 0.1 * gradA / scores.length;
+      b -= 0.1 * gradB / scores.length;
+    }
+    return { a, b };
+  }
+
+  /**
+   * Uncalibrated ensemble probability
+   * @param {Array<number>} x - Feature vector
+   * @returns {number} Probability between 0 and 1
+   */
+  rawProbability(x) {
+    return (this.logistic.predictProba(x) + this.trees.predictProba(x)) / 2;
+  }
+
+  /**
+   * Calibrated probability that a trade with these features wins
+   * @param {Array<number>} x - Feature vector
+   * @returns {number} Probability between 0 and 1
+   */
+  predict(x) {
+    return sigmoid(this.calibration.a * logit(this.rawProbability(x)) + this.calibration.b);
+  }
+
+  /**
+   * Get feature importance averaged over both models
+   * @returns {Object} Importance keyed by feature name, summing to 1
+   */
+  featureImportance() {
+    const logistic = this.logistic.featureImportance();
+    const trees = this.trees.featureImportance();
+    return Object.fromEntries(this.featureNames.map((name, i) => [name, (logistic[i] + trees[i]) / 2]));
+  }
+
+  /**
+   * Serialize the model for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      featureNames: this.featureNames,
+      logistic: this.logistic?.toJSON() ?? null,
+      trees: this.trees?.toJSON() ?? null,
+      calibration: this.calibration,
+      metrics: this.metrics,
+    };
+  }
+
+  /**
+   * Restore a stored model
+   * @param {Object} json - Output of toJSON
+   * @returns {TradeModel} Model
+   */
+  static fromJSON(json) {
+    const model = new TradeModel({ featureNames: json.featureNames });
+    model.logistic = json.logistic ? LogisticRegression.fromJSON(json.logistic) : null;
+    model.trees = json.trees ? GradientBoostedTrees.fromJSON(json.trees) : null;
+    model.calibration = json.calibration || { a: 1, b: 0 };
+    model.metrics = json.metrics || null;
+    return model;
+  }
+}
+
+/**
+ * Walk-forward evaluation: retrain on a rolling window of past trades and score the trades that follow,
+ * so every prediction in the report is out of sample
+ * @param {{features: Array<Array<number>>, labels: Array<number>}} dataset - Time-ordered training data
+ * @param {Object} [options] - Evaluation options
+ * @param {Array<string>} [options.featureNames=[]] - Feature names passed to each model
+ * @param {number} [options.trainSize=100] - Trades per training window
+ * @param {number} [options.testSize=25] - Trades per test window; windows advance by this much
+ * @param {number} [options.threshold=0.5] - Probability at or above which the model would take the trade
+ * @param {number} [options.bins=10] - Calibration curve bins
+ * @returns {Object} Report { windows, predictions, winRate, baseWinRate, accuracy, auc, confusion, calibration, evaluatedAt }
+ */
+export function walkForward({ features, labels }, { featureNames = [], trainSize = 100, testSize = 25, threshold = 0.5, bins = 10 } = {}) {
+  if (features.length < trainSize + testSize) {
+    throw new Error(`Need at least ${trainSize + testSize} labelled trades for walk-forward, have ${features.length}`);
+  }
+
+  const probabilities = [];
+  const outcomes = [];
+  let windows = 0;
+  for (let start = 0; start + trainSize < features.length; start += testSize) {
+    const model = new TradeModel({ featureNames, minSamples: Math.min(50, trainSize) });
+    try {
+      model.train({ features: features.slice(start, start + trainSize), labels: labels.slice(start, start + trainSize) });
+    } catch (error) {
+      // Walk-forward also runs in the training worker, which has no window
+      globalThis.window?.derivBot?.log(`[ML] Walk-forward window at ${start} skipped: ${error.message}`, 'warning');
+      continue;
+    }
+    const end = Math.min(start + trainSize + testSize, features.length);
+    for (let i = start + trainSize; i < end; i++) {
+      probabilities.push(model.predict(features[i]));
+      outcomes.push(labels[i]);
+    }
+    windows++;
+  }
+  if (!windows) {
+    throw new Error('No walk-forward window could be trained');
+  }
+
+  const confusion = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+  probabilities.forEach((p, i) => {
+    const predicted = p >= threshold;
+    if (predicted && outcomes[i] === 1) confusion.truePositive++;
+    else if (predicted) confusion.falsePositive++;
+    else if (outcomes[i] === 1) confusion.falseNegative++;
+    else confusion.trueNegative++;
+  });
+
+  const calibration = [];
+  for (let b = 0; b < bins; b++) {
+    const members = probabilities
+      .map((p, i) => ({ p, outcome: outcomes[i] }))
+      .filter(({ p }) => (b === bins - 1 ? p >= b / bins : p >= b / bins && p < (b + 1) / bins));
+    if (!members.length) continue;
+    calibration.push({
+      predicted: members.reduce((sum, m) => sum + m.p, 0) / members.length,
+      observed: members.reduce((sum, m) => sum + m.outcome, 0) / members.length,
+      count: members.length,
+    });
+  }
+
+  const taken = confusion.truePositive + confusion.falsePositive;
+  return {
+    windows,
+    predictions: probabilities.length,
+    trainSize,
+    testSize,
+    threshold,
+    // Win rate of the trades the model would have taken, in percent
+    winRate: taken ? (confusion.truePositive / taken) * 100 : 0,
+    baseWinRate: (outcomes.reduce((sum, v) => sum + v, 0) / outcomes.length) * 100,
+    accuracy: (confusion.truePositive + confusion.trueNegative) / probabilities.length,
+    auc: calculateAUC(outcomes, probabilities),
+    confusion,
+    calibration,
+    evaluatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Run a training task; the same code runs in the training worker and, where workers are unavailable, inline
+ * @param {string} task - 'train' or 'walk-forward'
+ * @param {{features: Array<Array<number>>, labels: Array<number>}} dataset - Time-ordered training data
+ * @param {Object} [options] - { featureNames } for 'train'; walkForward options for 'walk-forward'
+ * @returns {Object} Trained model as toJSON output, or the walk-forward report
+ */
+export function runModelTask(task, dataset, options = {}) {
+  switch (task) {
+    case 'train': {
+      const model = new TradeModel({ featureNames: options.featureNames });
+      model.train(dataset);
+      return model.toJSON();
+    }
+    case 'walk-forward':
+      return walkForward(dataset, options);
+    default:
+      throw new Error(`Unknown model task ${task}`);
+  }
+}
+
+/**
+ * ModelWorker - Runs training tasks in a Web Worker so retraining never blocks tick and contract handling.
+ * Falls back to running them on the calling thread where module workers cannot be started.
+ * @class
+ */
+export class ModelWorker {
+  constructor() {
+    this.worker = null;
+    this.pending = new Map(); // Map<task id, { task, dataset, options, resolve, reject }>
+    this.nextId = 1;
+    if (typeof Worker === 'undefined') return;
+    try {
+      this.worker = new Worker(new URL('./modelworker.js', import.meta.url), { type: 'module' });
+      this.worker.onmessage = ({ data }) => this.settle(data);
+      this.worker.onerror = (event) => this.fallBack(event.message || 'worker failed to start');
+    } catch (error) {
+      this.fallBack(error.message);
+    }
+  }
+
+  /**
+   * Run a task
+   * @param {string} task - 'train' or 'walk-forward'
+   * @param {Object} dataset - Dataset from buildDataset
+   * @param {Object} [options] - Task options, see runModelTask
+   * @returns {Promise<Object>} Task result
+   */
+  run(task, dataset, options = {}) {
+    if (!this.worker) {
+      return new Promise((resolve) => setTimeout(resolve, 0)).then(() => runModelTask(task, dataset, options));
+    }
+    const id = this.nextId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { task, dataset, options, resolve, reject });
+      this.worker.postMessage({ id, task, dataset, options });
+    });
+  }
+
+  /**
+   * Resolve or reject a task with the worker's reply
+   * @param {Object} reply - { id, result } or { id, error }
+   */
+  settle({ id, result, error }) {
+    const job = this.pending.get(id);
+    if (!job) return;
+    this.pending.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+  }
+
+  /**
+   * Stop using the worker, e.g. when the page is opened from a file and module workers are blocked,
+   * and finish the tasks it was given on this thread
+   * @param {string} reason - Why the worker is unusable
+   */
+  fallBack(reason) {
+    globalThis.window?.derivBot?.log(`[ML] Training worker unavailable (${reason}); training on the main thread`, 'warning');
+    this.worker?.terminate();
+    this.worker = null;
+    const jobs = Array.from(this.pending.values());
+    this.pending.clear();
+    jobs.forEach((job) => this.run(job.task, job.dataset, job.options).then(job.resolve, job.reject));
+  }
+}
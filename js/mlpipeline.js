@@ -1,6 +1,95 @@
 // mlpipeline.js - Data cleaning, normalization, and Firebase integration
 
-import { saveData, loadData } from './firebase.js';
+import { CONTRACT_TYPES, contractDirection } from './contracts.js';
+
+// Firebase is loaded on first use so the feature helpers work without the Firebase SDK
+const firebase = () => import('./firebase.js');
+
+const BULLISH_PATTERNS = ['BullishEngulfing', 'Hammer', 'MorningStar'];
+const BEARISH_PATTERNS = ['BearishEngulfing', 'ShootingStar'];
+
+/**
+ * Model feature order. Directional features are also multiplied by the trade direction
+ * (+1 for contracts that profit from a rise, -1 from a fall) so a linear model can learn that the same
+ * reading favours one side.
+ */
+export const FEATURE_NAMES = [
+  'direction',
+  'rsi',
+  'macd_histogram',
+  'volatility',
+  'adx',
+  'bollinger_position',
+  'sentiment',
+  'stochastic',
+  'trend',
+  'candle_pattern',
+  'volatility_spike',
+  'direction_x_rsi',
+  'direction_x_macd_histogram',
+  'direction_x_bollinger_position',
+  'direction_x_sentiment',
+  'direction_x_stochastic',
+  'direction_x_trend',
+  'direction_x_candle_pattern',
+];
+
+/**
+ * Build the model feature vector for a trade
+ * @param {Object} trade - Trade record { indicators, marketConditions, contractType, barrier? } as stored in 'trades'
+ * @returns {Array<number>} Features in FEATURE_NAMES order
+ */
+export function extractFeatures(trade) {
+  const indicators = trade.indicators || {};
+  const conditions = trade.marketConditions || {};
+  const direction = contractDirection(trade.contractType, trade.barrier) || 1;
+  const rsi = ((indicators.rsi ?? 50) - 50) / 50;
+  const macd = typeof indicators.macd === 'object' ? indicators.macd?.histogram ?? 0 : indicators.macd ?? 0;
+  const band = indicators.bollingerPosition === 'above' ? 1 : indicators.bollingerPosition === 'below' ? -1 : 0;
+  const sentiment = indicators.sentiment ?? 0;
+  const stochastic = ((indicators.stochastic ?? 50) - 50) / 50;
+  const trend = conditions.trend === 'uptrend' ? 1 : conditions.trend === 'downtrend' ? -1 : 0;
+  const pattern = BULLISH_PATTERNS.includes(conditions.candlePattern) ? 1 :
+                  BEARISH_PATTERNS.includes(conditions.candlePattern) ? -1 : 0;
+
+  return [
+    direction,
+    rsi,
+    macd,
+    indicators.volatility ?? 0,
+    (indicators.adx ?? 0) / 100,
+    band,
+    sentiment,
+    stochastic,
+    trend,
+    pattern,
+    conditions.volatilitySpike ? 1 : 0,
+    direction * rsi,
+    direction * macd,
+    direction * band,
+    direction * sentiment,
+    direction * stochastic,
+    direction * trend,
+    direction * pattern,
+  ];
+}
+
+/**
+ * Turn stored trade records into a training set, oldest first. Digit contracts are left out: their outcome
+ * does not depend on the price direction the features describe.
+ * @param {Array<Object>} records - Records from the 'trades' store
+ * @returns {{features: Array<Array<number>>, labels: Array<number>}} Training-ready data
+ */
+export function buildDataset(records) {
+  const labelled = records
+    .filter((record) => (record.result === 'win' || record.result === 'loss') && record.indicators)
+    .filter((record) => CONTRACT_TYPES[record.contractType]?.family !== 'digits')
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  return {
+    features: labelled.map((record) => extractFeatures(record)),
+    labels: labelled.map((record) => (record.result === 'win' ? 1 : 0)),
+  };
+}
 
 /**
  * Clean and normalize tick or candle data
@@ -22,23 +111,19 @@ export function cleanData(data) {
 
 /**
  * Categorize trade outcome with market context
- * @param {Object} trade - Trade data from historicalData
- * @param {Object} indicators - Current indicators
+ * @param {Object} trade - Trade record { symbol, timestamp, price, result, pnl, contractType, marketConditions }
+ * @param {Object} [indicators=trade.indicators] - Indicators at entry
  * @returns {Object} Labeled data for ML
  */
-export function labelTradeData(trade, indicators) {
+export function labelTradeData(trade, indicators = trade.indicators) {
+  const vector = extractFeatures({ ...trade, indicators });
   return {
     symbol: trade.symbol,
-    timestamp: trade.timestamp.toISOString(),
+    timestamp: new Date(trade.timestamp).toISOString(),
     price: trade.price,
     result: trade.result, // 'win' or 'loss'
     pnl: trade.pnl,
-    features: {
-      rsi: indicators.rsi,
-      macd_histogram: indicators.macd.histogram,
-      volatility: indicators.volatility,
-      adx: indicators.adx
-    },
+    features: Object.fromEntries(FEATURE_NAMES.map((name, i) => [name, vector[i]])),
     label: trade.result === 'win' ? 1 : 0 // Binary label for ML
   };
 }
@@ -51,6 +136,7 @@ export function labelTradeData(trade, indicators) {
 export async function saveTickData(symbol, tick) {
   const cleaned = cleanData(tick);
   if (cleaned) {
+    const { saveData } = await firebase();
     await saveData(`ticks/${symbol}`, cleaned);
   }
 }
@@ -64,6 +150,7 @@ export async function saveTickData(symbol, tick) {
 export async function saveCandleData(symbol, timeframe, candle) {
   const cleaned = cleanData(candle);
   if (cleaned) {
+    const { saveData } = await firebase();
     await saveData(`candles/${symbol}/${timeframe}`, cleaned);
   }
 }
@@ -76,6 +163,7 @@ export async function saveCandleData(symbol, timeframe, candle) {
  */
 export async function saveTradeData(sessionId, trade, indicators) {
   const labeled = labelTradeData(trade, indicators);
+  const { saveData } = await firebase();
   await saveData(`trades/${sessionId}`, labeled);
 }
 
@@ -83,16 +171,12 @@ export async function saveTradeData(sessionId, trade, indicators) {
  * Load dataset for ML training
  * @param {string} collectionPath - e.g., 'trades/sessionId'
  * @param {Object} queryParams - Query filters
- * @returns {Promise<{features: Array, labels: Array}>} Training-ready data
+ * @returns {Promise<{features: Array<Array<number>>, labels: Array<number>}>} Training-ready data
  */
 export async function loadDataset(collectionPath, queryParams) {
+  const { loadData } = await firebase();
   const data = await loadData(collectionPath, queryParams);
-  const features = data.map(item => [
-    item.features.rsi,
-    item.features.macd_histogram,
-    item.features.volatility,
-    item.features.adx
-  ]);
-  const labels = data.map(item => [item.label]);
+  const features = data.map(item => FEATURE_NAMES.map(name => item.features[name] ?? 0));
+  const labels = data.map(item => item.label);
   return { features, labels };
 }
\ No newline at end of file
@@ -0,0 +1,11 @@
+// modelworker.js - Web Worker entry that trains ML models and runs walk-forward evaluation off the UI thread
+import { runModelTask } from './ml.js';
+
+self.onmessage = ({ data }) => {
+  const { id, task, dataset, options } = data;
+  try {
+    self.postMessage({ id, result: runModelTask(task, dataset, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -0,0 +1,224 @@
+import { CONTRACT_TYPES, advanceContract, contractValue } from './contracts.js';
+
+/**
+ * PaperLedger - Fills proposals locally and settles them from live ticks against a virtual balance
+ * @class
+ */
+export class PaperLedger {
+  constructor({ balance = 10000 } = {}) {
+    this.startingBalance = balance;
+    this.balance = balance;
+    this.positions = new Map(); // Map<contract_id, position>
+    this.nextId = 1;
+    this.log = (message, type = 'info') => {
+      window.derivBot?.log(`[PaperLedger] ${message}`, type);
+    };
+  }
+
+  /**
+   * Whether any paper contract is still open
+   * @returns {boolean} Open state
+   */
+  get hasOpenPositions() {
+    return this.positions.size > 0;
+  }
+
+  /**
+   * Fill a proposal as if it had been bought
+   * @param {Object} proposal - Proposal data from API { id, ask_price, payout, spot, spot_time }
+   * @param {Object} order - Order { tradeType, symbol, stake, duration, durationUnit?, barrier?, multiplier?, stopLoss?, takeProfit?, pipSize? }
+   * @returns {Object} Buy-shaped response { contract_id, buy_price, payout, shortcode, balance_after, ... }
+   */
+  fill(proposal, order) {
+    const stake = Number(proposal.ask_price ?? order.stake);
+    if (stake > this.balance) {
+      throw new Error(`Paper balance $${this.balance.toFixed(2)} cannot cover $${stake.toFixed(2)}`);
+    }
+    const isMultiplier = CONTRACT_TYPES[order.tradeType].family === 'multiplier';
+    const unit = isMultiplier ? null : order.durationUnit || 's';
+    const purchaseTime = proposal.spot_time ?? Math.floor(Date.now() / 1000);
+    const position = {
+      id: `paper_${this.nextId++}`,
+      symbol: order.symbol,
+      type: order.tradeType,
+      stake,
+      payout: Number(proposal.payout) || 0,
+      duration: isMultiplier ? null : order.duration,
+      unit,
+      barrier: order.barrier,
+      multiplier: isMultiplier ? order.multiplier : undefined,
+      stopLoss: isMultiplier ? order.stopLoss : undefined,
+      takeProfit: isMultiplier ? order.takeProfit : undefined,
+      pipSize: order.pipSize,
+      purchaseTime,
+      dateExpiry: unit && unit !== 't' ? purchaseTime + order.duration * (unit === 'm' ? 60 : unit === 'h' ? 3600 : 1) : null,
+      entry: null,
+      current: proposal.spot !== undefined ? { epoch: purchaseTime, quote: Number(proposal.spot) } : null, // Last tick before purchase
+      ticksSeen: 0,
+      sumSquaredReturns: 0, // Realised variance since entry, for pricing early sales
+    };
+    this.positions.set(position.id, position);
+    this.balance -= stake;
+    this.log(`Filled ${position.type} ${position.symbol} $${stake.toFixed(2)} (${position.id})`, 'debug');
+
+    return {
+      contract_id: position.id,
+      buy_price: stake,
+      payout: position.payout,
+      balance_after: this.balance,
+      purchase_time: purchaseTime,
+      start_time: purchaseTime,
+      longcode: proposal.longcode,
+      shortcode: isMultiplier ?
+        `${position.type}_${position.symbol}_${stake}_${position.multiplier}_${purchaseTime}_0_0.00_N1` :
+        `${position.type}_${position.symbol}_${position.payout}_${purchaseTime}_${position.dateExpiry ?? `${position.duration}T`}_${position.barrier ?? 'S0P'}_0`,
+      ...(position.barrier !== undefined ? { barrier: position.barrier } : {}),
+    };
+  }
+
+  /**
+   * Advance open positions of a symbol with a live tick; contracts settle by the rules of advanceContract
+   * @param {string} symbol - Market symbol
+   * @param {Object} tick - Tick { epoch, quote }
+   * @returns {Array<Object>} proposal_open_contract-shaped updates for the positions the tick touched
+   */
+  processTick(symbol, tick) {
+    const updates = [];
+    this.positions.forEach((position) => {
+      if (position.symbol !== symbol) return;
+      if (position.entry) {
+        position.sumSquaredReturns += Math.log(tick.quote / position.current.quote) ** 2;
+      }
+      const settlement = advanceContract(position, tick);
+      if (!position.entry) return;
+      updates.push(settlement ? this.close(position, settlement.sellPrice, settlement.exit, settlement.status) : this.contractUpdate(position));
+    });
+    return updates;
+  }
+
+  /**
+   * Sell an open position early at its fair value under a random walk with the realised tick volatility
+   * @param {string} contractId - Paper contract ID
+   * @returns {Object|null} Final contract update, or null if the position cannot be sold yet
+   */
+  sell(contractId) {
+    const position = this.positions.get(contractId);
+    if (!position?.entry) return null;
+    return this.close(position, this.contractUpdate(position).bid_price, position.current, 'sold');
+  }
+
+  /**
+   * Value of an open position, priced with the tick volatility realised since entry
+   * @param {Object} position - Open position
+   * @returns {number} Bid price
+   */
+  bidPrice(position) {
+    if (!position.entry) return position.stake;
+    const { entry, current, ticksSeen } = position;
+    const remainingTicks = position.unit === 't' ?
+      position.duration - ticksSeen :
+      ticksSeen > 0 ? ((position.dateExpiry - current.epoch) * ticksSeen) / (current.epoch - entry.epoch) : position.dateExpiry - current.epoch;
+    const tickVolatility = ticksSeen >= 2 ? Math.sqrt(position.sumSquaredReturns / ticksSeen) : 0;
+    return contractValue(position, tickVolatility, remainingTicks);
+  }
+
+  /**
+   * Remove a position and credit its sale price
+   * @param {Object} position - Open position
+   * @param {number} sellPrice - Amount credited
+   * @param {Object} exit - Exit tick
+   * @param {string} status - 'won', 'lost' or 'sold'
+   * @returns {Object} Final contract update
+   */
+  close(position, sellPrice, exit, status) {
+    this.positions.delete(position.id);
+    this.balance += sellPrice;
+    return {
+      ...this.contractUpdate(position),
+      exit_tick: exit.quote,
+      exit_tick_time: exit.epoch,
+      sell_price: sellPrice,
+      profit: sellPrice - position.stake,
+      is_sold: 1,
+      is_expired: status === 'sold' ? 0 : 1,
+      status,
+    };
+  }
+
+  /**
+   * proposal_open_contract-shaped state of a position
+   * @param {Object} position - Position
+   * @returns {Object} Contract update
+   */
+  contractUpdate(position) {
+    const bid = this.bidPrice(position);
+    return {
+      contract_id: position.id,
+      underlying: position.symbol,
+      contract_type: position.type,
+      buy_price: position.stake,
+      payout: position.payout,
+      date_start: position.purchaseTime,
+      date_expiry: position.dateExpiry ?? undefined,
+      current_spot: position.current?.quote,
+      current_spot_time: position.current?.epoch,
+      entry_tick: position.entry?.quote,
+      entry_tick_time: position.entry?.epoch,
+      barrier: position.barrierLevel ?? position.barrier,
+      multiplier: position.multiplier,
+      bid_price: bid,
+      profit: bid - position.stake,
+      is_sold: 0,
+      status: 'open',
+    };
+  }
+
+  /**
+   * Cancel every open position and refund its stake
+   * @returns {number} Number of positions voided
+   */
+  voidPositions() {
+    const count = this.positions.size;
+    this.positions.forEach((position) => {
+      this.balance += position.stake;
+    });
+    this.positions.clear();
+    return count;
+  }
+
+  /**
+   * Reset the ledger to a starting balance with no positions
+   * @param {number} [balance=this.startingBalance] - Starting balance
+   */
+  reset(balance = this.startingBalance) {
+    this.startingBalance = balance;
+    this.balance = balance;
+    this.positions.clear();
+  }
+
+  /**
+   * Serialize the ledger for storage
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      startingBalance: this.startingBalance,
+      balance: this.balance,
+      positions: Array.from(this.positions.values()),
+      nextId: this.nextId,
+    };
+  }
+
+  /**
+   * Restore a ledger from storage
+   * @param {Object} json - Output of toJSON
+   * @returns {PaperLedger} Ledger
+   */
+  static fromJSON(json) {
+    const ledger = new PaperLedger({ balance: json.startingBalance });
+    ledger.balance = json.balance;
+    ledger.nextId = json.nextId || 1;
+    (json.positions || []).forEach((position) => ledger.positions.set(position.id, position));
+    return ledger;
+  }
+}
@@ -1,61 +1,448 @@
 /**
  * Pipeline - Handles data storage and retrieval for trading bot
+ *
+ * Records are persisted in IndexedDB. The most recent records of each key are mirrored in memory so
+ * saveData/loadData stay synchronous; writes are queued and flushed to IndexedDB in batches.
  */
 
+const DB_NAME = 'derivBot';
+const DB_VERSION = 2;
+const STORE_NAME = 'records';
+const CACHE_LIMIT = 10000; // Records per key kept in memory for loadData
+const STORE_LIMIT = 200000; // Records per key kept in IndexedDB
+const FLUSH_INTERVAL = 1000; // Maximum delay before queued writes are flushed, in ms
+const FLUSH_SIZE = 500; // Queue length that triggers an immediate flush
+const MIGRATED_KEYS = ['ticks', 'candles', 'trades', 'backtest_trades', 'ml_models', 'ml_walkforward'];
+
+const cache = new Map(); // Map<key, Array<Object>>
+const storedCounts = new Map(); // Map<key, number> of records in IndexedDB
+let pending = []; // Records waiting to be written
+let flushTimer = null;
+let readyPromise = null;
+
+const log = (message, type = 'info') => {
+  window.derivBot?.log(`[Pipeline] ${message}`, type);
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise<void>} Resolves on completion
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open the database, creating the record store and its indexes on first use
+ * @returns {Promise<IDBDatabase|null>} Database, or null if IndexedDB is unavailable or the upgrade is blocked
+ */
+async function openDatabase() {
+  if (!window.indexedDB) {
+    log('IndexedDB unavailable; data is kept in memory for this session only', 'warning');
+    return null;
+  }
+  const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    const store = event.oldVersion < 1 ?
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true }) :
+      request.transaction.objectStore(STORE_NAME);
+    if (event.oldVersion < 1) {
+      store.createIndex('key', 'key');
+      store.createIndex('key_time', ['key', 'time']);
+      store.createIndex('key_symbol_time', ['key', 'symbol', 'time']);
+    }
+    if (event.oldVersion < 2) {
+      store.createIndex('key_uid', ['key', 'uid'], { unique: true }); // Upserted records only
+    }
+  };
+  return new Promise((resolve, reject) => {
+    let abandoned = false;
+    // Another tab still holds the previous version open; don't wait for it to close
+    request.onblocked = () => {
+      abandoned = true;
+      log('IndexedDB upgrade blocked by another open tab; data is kept in memory for this session only', 'warning');
+      resolve(null);
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      if (abandoned) {
+        db.close();
+        return;
+      }
+      // Let a newer version opened in another tab upgrade instead of blocking it
+      db.onversionchange = () => {
+        db.close();
+        readyPromise = Promise.resolve(null);
+        log('IndexedDB upgraded in another tab; data is kept in memory for the rest of this session', 'warning');
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Get the timestamp of a record in milliseconds
+ * @param {Object} data - Stored data
+ * @returns {number} Epoch milliseconds
+ */
+function timeOf(data) {
+  const value = data.timestamp ?? data.time ?? (data.epoch ? data.epoch * 1000 : undefined);
+  const time = value === undefined ? NaN : new Date(value).getTime();
+  return Number.isNaN(time) ? Date.now() : time;
+}
+
+/**
+ * Wrap data in an indexed record
+ * @param {string} key - Data key
+ * @param {Object} data - Data to store
+ * @param {string} [uid] - Unique id within the key for upserted records
+ * @returns {Object} Record { key, symbol, time, data, uid? }
+ */
+function toRecord(key, data, uid) {
+  const record = { key, symbol: typeof data.symbol === 'string' ? data.symbol : '', time: timeOf(data), data };
+  if (uid !== undefined) record.uid = uid;
+  return record;
+}
+
+/**
+ * Move array data kept in localStorage by earlier versions into IndexedDB
+ * @param {IDBDatabase} db - Database
+ */
+async function migrateLocalStorage(db) {
+  for (const key of MIGRATED_KEYS) {
+    const raw = localStorage.getItem(key);
+    if (!raw) continue;
+    try {
+      const data = JSON.parse(raw);
+      if (Array.isArray(data) && data.length) {
+        const tx = db.transaction(STORE_NAME, 'readwrite');
+        const store = tx.objectStore(STORE_NAME);
+        data.forEach((item) => store.add(toRecord(key, item)));
+        await transactionDone(tx);
+        log(`Migrated ${data.length} ${key} records from localStorage`, 'info');
+      }
+      localStorage.removeItem(key);
+    } catch (error) {
+      log(`Error migrating ${key} from localStorage: ${error.message}`, 'error');
+    }
+  }
+}
+
+/**
+ * Load the most recent records of every key into the memory cache
+ * @param {IDBDatabase} db - Database
+ */
+async function preloadCache(db) {
+  const index = db.transaction(STORE_NAME).objectStore(STORE_NAME).index('key');
+  const keys = [];
+  await new Promise((resolve, reject) => {
+    const request = index.openKeyCursor(null, 'nextunique');
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return resolve();
+      keys.push(cursor.key);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  for (const key of keys) {
+    const keyIndex = db.transaction(STORE_NAME).objectStore(STORE_NAME).index('key');
+    storedCounts.set(key, await promisify(keyIndex.count(IDBKeyRange.only(key))));
+    const records = [];
+    await new Promise((resolve, reject) => {
+      const request = keyIndex.openCursor(IDBKeyRange.only(key), 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || records.length >= CACHE_LIMIT) return resolve();
+        records.push(cursor.value.data);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    // Records saved before the cache was loaded are newer than anything stored
+    const merged = records.reverse().concat(cache.get(key) || []);
+    cache.set(key, merged.slice(-CACHE_LIMIT));
+  }
+}
+
+/**
+ * Open IndexedDB, migrate localStorage data and fill the memory cache. Safe to call more than once.
+ * @returns {Promise<IDBDatabase|null>} Database or null if IndexedDB is unavailable
+ */
+export function initPipeline() {
+  if (!readyPromise) {
+    readyPromise = (async () => {
+      try {
+        const db = await openDatabase();
+        if (db) {
+          await migrateLocalStorage(db);
+          await preloadCache(db);
+          log(`IndexedDB ready: ${Array.from(storedCounts.entries()).map(([key, count]) => `${key}=${count}`).join(', ') || 'empty'}`, 'info');
+        }
+        return db;
+      } catch (error) {
+        log(`Error opening IndexedDB: ${error.message}`, 'error');
+        return null;
+      }
+    })();
+    window.addEventListener?.('pagehide', () => flushData());
+  }
+  return readyPromise;
+}
+
+/**
+ * Remove the oldest stored records of a key beyond STORE_LIMIT
+ * @param {IDBDatabase} db - Database
+ * @param {string} key - Data key
+ */
+async function trimStore(db, key) {
+  const excess = (storedCounts.get(key) || 0) - STORE_LIMIT;
+  if (excess <= 0) return;
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const request = tx.objectStore(STORE_NAME).index('key').openCursor(IDBKeyRange.only(key));
+  let removed = 0;
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (!cursor || removed >= excess) return;
+    cursor.delete();
+    removed++;
+    cursor.continue();
+  };
+  await transactionDone(tx);
+  storedCounts.set(key, storedCounts.get(key) - removed);
+}
+
+/**
+ * Write all queued records to IndexedDB in a single transaction
+ * @returns {Promise<void>} Resolves once the batch is committed
+ */
+export async function flushData() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const db = await initPipeline();
+  if (!db || !pending.length) {
+    pending = db ? pending : [];
+    return;
+  }
+
+  const batch = pending;
+  pending = [];
+  try {
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const store = tx.objectStore(STORE_NAME);
+    const added = [];
+    batch.forEach((record) => {
+      if (record.uid === undefined) {
+        store.add(record);
+        added.push(record.key);
+        return;
+      }
+      const lookup = store.index('key_uid').getKey([record.key, record.uid]);
+      lookup.onsuccess = () => {
+        if (lookup.result === undefined) {
+          store.add(record);
+          added.push(record.key);
+        } else {
+          store.put({ ...record, id: lookup.result });
+        }
+      };
+    });
+    await transactionDone(tx);
+    const keys = new Set(added);
+    added.forEach((key) => storedCounts.set(key, (storedCounts.get(key) || 0) + 1));
+    for (const key of keys) {
+      // Trim in chunks rather than on every write
+      if (storedCounts.get(key) > STORE_LIMIT * 1.05) await trimStore(db, key);
+    }
+    log(`Flushed ${batch.length} records to IndexedDB`, 'debug');
+  } catch (error) {
+    log(`Error flushing ${batch.length} records: ${error.message}`, 'error');
+  }
+}
+
 /**
- * Save data to localStorage
+ * Schedule a flush of queued writes
+ */
+function scheduleFlush() {
+  if (pending.length >= FLUSH_SIZE) {
+    flushData();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(() => flushData(), FLUSH_INTERVAL);
+  }
+}
+
+/**
+ * Save data to the store
  * @param {string} key - Data key (e.g., 'trades', 'ticks', 'candles')
  * @param {Object} data - Data to save
  */
 export function saveData(key, data) {
   try {
-    if (!key || !data || typeof key !== 'string') {
-      window.derivBot?.log(`[Pipeline] Invalid save data: key=${key}, data=${JSON.stringify(data)}`, 'error');
+    if (!key || !data || typeof key !== 'string' || typeof data !== 'object' || Array.isArray(data)) {
+      log(`Invalid save data: key=${key}, data=${JSON.stringify(data)}`, 'error');
       return;
     }
 
-    const existingData = localStorage.getItem(key) ? JSON.parse(localStorage.getItem(key)) : [];
-    if (!Array.isArray(existingData)) {
-      window.derivBot?.log(`[Pipeline] Invalid existing data for ${key}`, 'error');
+    const records = cache.get(key) || [];
+    records.push(data);
+    if (records.length > CACHE_LIMIT) {
+      records.shift();
+    }
+    cache.set(key, records);
+
+    pending.push(toRecord(key, data));
+    scheduleFlush();
+    log(`Saved data to ${key}: ${JSON.stringify(data).slice(0, 50)}...`, 'debug');
+  } catch (error) {
+    log(`Error saving data to ${key}: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Insert or replace a record identified by a unique id within its key
+ * @param {string} key - Data key (e.g., 'candles')
+ * @param {string} uid - Unique id of the record within the key
+ * @param {Object} data - Data to save
+ */
+export function upsertData(key, uid, data) {
+  try {
+    if (!key || typeof key !== 'string' || typeof uid !== 'string' || !data || typeof data !== 'object' || Array.isArray(data)) {
+      log(`Invalid upsert data: key=${key}, uid=${uid}`, 'error');
       return;
     }
 
-    existingData.push(data);
-    if (existingData.length > 10000) {
-      existingData.shift();
+    const records = cache.get(key) || [];
+    const stored = { ...data, uid };
+    let index = records.length - 1;
+    while (index >= 0 && records[index].uid !== uid) index--;
+    if (index >= 0) {
+      records[index] = stored;
+    } else {
+      records.push(stored);
+      if (records.length > CACHE_LIMIT) {
+        records.shift();
+      }
     }
+    cache.set(key, records);
 
-    localStorage.setItem(key, JSON.stringify(existingData));
-    window.derivBot?.log(`[Pipeline] Saved data to ${key}: ${JSON.stringify(data).slice(0, 50)}...`, 'debug');
+    pending = pending.filter((record) => record.key !== key || record.uid !== uid);
+    pending.push(toRecord(key, stored, uid));
+    scheduleFlush();
+    log(`Upserted ${key}/${uid}`, 'debug');
   } catch (error) {
-    window.derivBot?.log(`[Pipeline] Error saving data to ${key}: ${error.message}`, 'error');
+    log(`Error upserting ${key}/${uid}: ${error.message}`, 'error');
   }
 }
 
 /**
- * Load data from localStorage
+ * Load the most recent data for a key
  * @param {string} key - Data key (e.g., 'trades', 'ticks', 'candles')
  * @param {number} [limit=Infinity] - Maximum number of records to return
- * @returns {Array<Object>} Loaded data
+ * @returns {Array<Object>} Loaded data, oldest first
  */
 export function loadData(key, limit = Infinity) {
   try {
     if (!key || typeof key !== 'string') {
-      window.derivBot?.log(`[Pipeline] Invalid load key: ${key}`, 'error');
+      log(`Invalid load key: ${key}`, 'error');
       return [];
     }
 
-    const data = localStorage.getItem(key) ? JSON.parse(localStorage.getItem(key)) : [];
-    if (!Array.isArray(data)) {
-      window.derivBot?.log(`[Pipeline] Invalid data format for ${key}`, 'error');
-      return [];
+    const result = (cache.get(key) || []).slice(-limit);
+    log(`Loaded ${result.length} records from ${key}`, 'debug');
+    return result;
+  } catch (error) {
+    log(`Error loading data from ${key}: ${error.message}`, 'error');
+    return [];
+  }
+}
+
+/**
+ * Query stored data by symbol and time range using the IndexedDB indexes
+ * @param {string} key - Data key (e.g., 'ticks')
+ * @param {Object} [options] - Query options
+ * @param {string} [options.symbol] - Only records for this symbol
+ * @param {Date|string|number} [options.from] - Earliest record time, inclusive
+ * @param {Date|string|number} [options.to] - Latest record time, inclusive
+ * @param {number} [options.limit=Infinity] - Maximum number of records, most recent kept
+ * @returns {Promise<Array<Object>>} Matching data, oldest first
+ */
+export async function queryData(key, { symbol, from, to, limit = Infinity } = {}) {
+  const lower = from === undefined ? -Infinity : new Date(from).getTime();
+  const upper = to === undefined ? Infinity : new Date(to).getTime();
+  try {
+    await flushData();
+    const db = await initPipeline();
+    if (!db) {
+      return (cache.get(key) || [])
+        .filter((data) => (!symbol || data.symbol === symbol) && timeOf(data) >= lower && timeOf(data) <= upper)
+        .slice(-limit);
     }
 
-    const result = data.slice(-limit);
-    window.derivBot?.log(`[Pipeline] Loaded ${result.length} records from ${key}`, 'debug');
-    return result;
+    const store = db.transaction(STORE_NAME).objectStore(STORE_NAME);
+    const range = symbol ?
+      IDBKeyRange.bound([key, symbol, lower], [key, symbol, upper]) :
+      IDBKeyRange.bound([key, lower], [key, upper]);
+    const index = store.index(symbol ? 'key_symbol_time' : 'key_time');
+    const records = [];
+    await new Promise((resolve, reject) => {
+      const request = index.openCursor(range, 'prev');
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || records.length >= limit) return resolve();
+        records.push(cursor.value.data);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return records.reverse();
   } catch (error) {
-    window.derivBot?.log(`[Pipeline] Error loading data from ${key}: ${error.message}`, 'error');
+    log(`Error querying ${key}: ${error.message}`, 'error');
     return [];
   }
 }
+
+/**
+ * Delete all data for a key
+ * @param {string} key - Data key
+ * @returns {Promise<void>} Resolves once the records are removed from IndexedDB
+ */
+export async function clearData(key) {
+  cache.delete(key);
+  pending = pending.filter((record) => record.key !== key);
+  try {
+    const db = await initPipeline();
+    if (!db) return;
+    const tx = db.transaction(STORE_NAME, 'readwrite');
+    const request = tx.objectStore(STORE_NAME).index('key').openCursor(IDBKeyRange.only(key));
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      cursor.delete();
+      cursor.continue();
+    };
+    await transactionDone(tx);
+    storedCounts.delete(key);
+    log(`Cleared ${key}`, 'info');
+  } catch (error) {
+    log(`Error clearing ${key}: ${error.message}`, 'error');
+  }
+}
@@ -0,0 +1,140 @@
+/**
+ * PositionBook - Open contracts keyed by contract_id, plus orders still waiting for their buy,
+ * with per-symbol and global limits on open positions and stake at risk
+ * @class
+ */
+export class PositionBook {
+  constructor({ maxOpen = 3, maxOpenPerSymbol = 1, maxExposure = 50 } = {}) {
+    this.maxOpen = maxOpen;
+    this.maxOpenPerSymbol = maxOpenPerSymbol;
+    this.maxExposure = maxExposure; // Total stake allowed at risk at once, in account currency
+    this.positions = new Map(); // Map<contract_id, position>
+    this.pending = new Set(); // Orders between proposal and buy; they count against the limits
+  }
+
+  /**
+   * Number of open positions
+   * @returns {number} Open positions
+   */
+  get size() {
+    return this.positions.size;
+  }
+
+  /**
+   * Set the limits
+   * @param {Object} limits - { maxOpen, maxOpenPerSymbol, maxExposure }
+   */
+  configure({ maxOpen = this.maxOpen, maxOpenPerSymbol = this.maxOpenPerSymbol, maxExposure = this.maxExposure }) {
+    this.maxOpen = maxOpen;
+    this.maxOpenPerSymbol = maxOpenPerSymbol;
+    this.maxExposure = maxExposure;
+  }
+
+  /**
+   * Record a bought contract and release the order it was bought for
+   * @param {Object} position - Position { id, symbol, stake, ... }
+   * @param {Object} [order] - Reserved order the contract fills
+   * @returns {Object} The position
+   */
+  open(position, order) {
+    if (order) this.pending.delete(order);
+    this.positions.set(position.id, position);
+    return position;
+  }
+
+  /**
+   * Look up an open position
+   * @param {string|number} contractId - Contract ID
+   * @returns {Object|undefined} Position
+   */
+  get(contractId) {
+    return this.positions.get(contractId);
+  }
+
+  /**
+   * Remove a settled position
+   * @param {string|number} contractId - Contract ID
+   * @returns {Object|undefined} The removed position
+   */
+  close(contractId) {
+    const position = this.positions.get(contractId);
+    this.positions.delete(contractId);
+    return position;
+  }
+
+  /**
+   * Hold a place for an order while its proposal and buy are in flight
+   * @param {Object} order - Order { symbol, stake }
+   */
+  reserve(order) {
+    this.pending.add(order);
+  }
+
+  /**
+   * Give up the place of an order that was not bought
+   * @param {Object} order - Reserved order
+   */
+  release(order) {
+    this.pending.delete(order);
+  }
+
+  /**
+   * Open positions, optionally of one symbol or trading mode
+   * @param {Object} [filter] - { symbol, mode }
+   * @returns {Array<Object>} Positions
+   */
+  list({ symbol, mode } = {}) {
+    return Array.from(this.positions.values())
+      .filter((position) => (symbol === undefined || position.symbol === symbol) && (mode === undefined || position.mode === mode));
+  }
+
+  /**
+   * Positions and reserved orders of a symbol, or of every symbol
+   * @param {string} [symbol] - Market symbol
+   * @returns {number} Count
+   */
+  count(symbol) {
+    const matches = (entry) => symbol === undefined || entry.symbol === symbol;
+    return this.list({ symbol }).length + Array.from(this.pending).filter(matches).length;
+  }
+
+  /**
+   * Stake at risk in positions and reserved orders of a symbol, or of every symbol
+   * @param {string} [symbol] - Market symbol
+   * @returns {number} Total stake
+   */
+  exposure(symbol) {
+    const matches = (entry) => symbol === undefined || entry.symbol === symbol;
+    return [...this.positions.values(), ...this.pending]
+      .filter(matches)
+      .reduce((total, entry) => total + Number(entry.stake || 0), 0);
+  }
+
+  /**
+   * Check whether another position may be opened
+   * @param {string} symbol - Market symbol of the new position
+   * @param {number} stake - Stake of the new position
+   * @returns {string|null} Why it may not, or null if it may
+   */
+  checkLimits(symbol, stake) {
+    if (this.count() >= this.maxOpen) {
+      return `${this.count()} of ${this.maxOpen} positions already open`;
+    }
+    if (this.count(symbol) >= this.maxOpenPerSymbol) {
+      return `${this.count(symbol)} of ${this.maxOpenPerSymbol} positions already open on ${symbol}`;
+    }
+    const exposure = this.exposure();
+    if (exposure + stake > this.maxExposure) {
+      return `stake $${stake.toFixed(2)} would take exposure from $${exposure.toFixed(2)} past $${this.maxExposure.toFixed(2)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Forget every position and reserved order
+   */
+  clear() {
+    this.positions.clear();
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,108 @@
+// progression.js - Martingale and D'Alembert stake progressions with a step cap, and a Monte Carlo risk-of-ruin estimate
+
+export const PROGRESSION_STRATEGIES = ['martingale', 'dalembert'];
+
+/**
+ * Stake multiple of a progression step over the sized base stake
+ * @param {string} strategy - Strategy name; strategies without a progression always return 1
+ * @param {number} step - Progression step, 0 after a reset
+ * @param {number} multiplier - Martingale multiplier
+ * @returns {number} Factor applied to the base stake
+ */
+export function progressionFactor(strategy, step, multiplier) {
+  switch (strategy) {
+    case 'martingale':
+      return multiplier ** step;
+    case 'dalembert':
+      return 1 + step;
+    default:
+      return 1;
+  }
+}
+
+/**
+ * Advance a progression after a settled trade
+ * @param {number} step - Current step
+ * @param {string} result - 'win' or 'loss'
+ * @param {Object} settings - { strategy, maxSteps, onCap: 'reset'|'hold' }
+ * @returns {Object} { step, capped } where capped tells that the loss ran past maxSteps
+ */
+export function nextProgressionStep(step, result, { strategy, maxSteps, onCap }) {
+  if (!PROGRESSION_STRATEGIES.includes(strategy)) return { step: 0, capped: false };
+  if (result === 'win') {
+    // Martingale recovers every loss with one win; D'Alembert steps back down one unit
+    return { step: strategy === 'martingale' ? 0 : Math.max(0, step - 1), capped: false };
+  }
+  if (step + 1 > maxSteps) {
+    return { step: onCap === 'hold' ? maxSteps : 0, capped: true };
+  }
+  return { step: step + 1, capped: false };
+}
+
+/**
+ * Clamp a stake the way the bot does before trading
+ * @param {number} stake - Stake
+ * @param {number} balance - Balance
+ * @returns {number} Stake between 0.35 and min(10% of balance, 100)
+ */
+export function clampStake(stake, balance) {
+  return Math.max(Math.min(stake, balance * 0.1, 100), 0.35);
+}
+
+/**
+ * Estimate by Monte Carlo how often a progression hits the loss limit before the profit target
+ * @param {Object} options - Simulation options
+ * @param {number} options.winRate - Probability of winning a trade, 0-1
+ * @param {number} options.payout - Profit on a win as a fraction of stake
+ * @param {number} options.stake - Base stake
+ * @param {number} options.balance - Starting balance, which bounds stakes like the bot's clamp
+ * @param {string} options.strategy - Strategy whose progression is applied
+ * @param {number} options.multiplier - Martingale multiplier
+ * @param {number} options.maxSteps - Progression step cap
+ * @param {string} options.onCap - 'reset' or 'hold' once the cap is passed
+ * @param {number} options.lossLimit - Loss that ends a session as ruined
+ * @param {number} options.profitTarget - Profit that ends a session as successful
+ * @param {number} [options.maxTrades=1000] - Trades after which a session counts as undecided
+ * @param {number} [options.trials=2000] - Simulated sessions
+ * @param {Function} [options.random=Math.random] - Uniform random source
+ * @returns {Object} { trials, ruin, target, undecided, averageTrades, capsHit, largestStake } with ruin/target/undecided as fractions
+ */
+export function simulateRuin({
+  winRate, payout, stake, balance, strategy, multiplier, maxSteps, onCap,
+  lossLimit, profitTarget, maxTrades = 1000, trials = 2000, random = Math.random,
+}) {
+  let ruined = 0;
+  let reached = 0;
+  let totalTrades = 0;
+  let capsHit = 0;
+  let largestStake = 0;
+
+  for (let trial = 0; trial < trials; trial++) {
+    let pnl = 0;
+    let step = 0;
+    let trades = 0;
+    while (trades < maxTrades && pnl > -lossLimit && pnl < profitTarget) {
+      const tradeStake = clampStake(stake * progressionFactor(strategy, step, multiplier), balance + pnl);
+      largestStake = Math.max(largestStake, tradeStake);
+      const result = random() < winRate ? 'win' : 'loss';
+      pnl += result === 'win' ? tradeStake * payout : -tradeStake;
+      const next = nextProgressionStep(step, result, { strategy, maxSteps, onCap });
+      if (next.capped) capsHit++;
+      step = next.step;
+      trades++;
+    }
+    totalTrades += trades;
+    if (pnl <= -lossLimit) ruined++;
+    else if (pnl >= profitTarget) reached++;
+  }
+
+  return {
+    trials,
+    ruin: ruined / trials,
+    target: reached / trials,
+    undecided: (trials - ruined - reached) / trials,
+    averageTrades: totalTrades / trials,
+    capsHit,
+    largestStake,
+  };
+}
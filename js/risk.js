@@ -0,0 +1,182 @@
+// risk.js - Persistent daily and weekly loss limits that lock trading until the period ends or an override is logged
+
+const HISTORY_DAYS = 14; // Days of realized P&L kept; weeks are kept for the same span
+
+/**
+ * Local calendar date of a time
+ * @param {Date} time - Time
+ * @returns {string} Day key, e.g. '2026-10-19'
+ */
+export function dayKey(time) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${time.getFullYear()}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`;
+}
+
+/**
+ * ISO 8601 week of a local time; weeks start on Monday
+ * @param {Date} time - Time
+ * @returns {string} Week key, e.g. '2026-W43'
+ */
+export function weekKey(time) {
+  const date = new Date(Date.UTC(time.getFullYear(), time.getMonth(), time.getDate()));
+  const weekday = date.getUTCDay() || 7;
+  date.setUTCDate(date.getUTCDate() + 4 - weekday); // Thursday decides the week's year
+  const yearStart = Date.UTC(date.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+  return `${date.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * RiskGovernor - Realized P&L per calendar day and week, loss limits that lock trading, and a cap on the stake
+ * any one trade may risk. State is plain data so it can be stored and restored across reloads.
+ * @class
+ */
+export class RiskGovernor {
+  constructor({ dailyLossLimit = 50, weeklyLossLimit = 150, maxStakeAtRisk = 20 } = {}) {
+    this.dailyLossLimit = dailyLossLimit; // 0 disables
+    this.weeklyLossLimit = weeklyLossLimit; // 0 disables
+    this.maxStakeAtRisk = maxStakeAtRisk; // 0 disables
+    this.days = {}; // Record<day key, realized P&L>
+    this.weeks = {}; // Record<week key, realized P&L>
+    this.lock = null; // { scope: 'daily'|'weekly', period, pnl, limit, lockedAt }
+    this.overrides = []; // Logged unlocks { scope, period, pnl, reason, at }
+  }
+
+  /**
+   * Set the limits
+   * @param {Object} limits - { dailyLossLimit, weeklyLossLimit, maxStakeAtRisk }
+   */
+  configure({ dailyLossLimit = this.dailyLossLimit, weeklyLossLimit = this.weeklyLossLimit, maxStakeAtRisk = this.maxStakeAtRisk }) {
+    this.dailyLossLimit = dailyLossLimit;
+    this.weeklyLossLimit = weeklyLossLimit;
+    this.maxStakeAtRisk = maxStakeAtRisk;
+  }
+
+  /**
+   * Realized P&L of the day containing a time
+   * @param {Date} [time=new Date()] - Time
+   * @returns {number} P&L
+   */
+  dailyPnL(time = new Date()) {
+    return this.days[dayKey(time)] || 0;
+  }
+
+  /**
+   * Realized P&L of the week containing a time
+   * @param {Date} [time=new Date()] - Time
+   * @returns {number} P&L
+   */
+  weeklyPnL(time = new Date()) {
+    return this.weeks[weekKey(time)] || 0;
+  }
+
+  /**
+   * Add a settled trade to its day and week, and lock if it was a loss that breaches a limit
+   * @param {number} pnl - Realized profit or loss
+   * @param {Date} [time=new Date()] - Settlement time
+   * @returns {Object|null} The new lock, or null if the trade did not cause one
+   */
+  recordTrade(pnl, time = new Date()) {
+    const day = dayKey(time);
+    const week = weekKey(time);
+    this.days[day] = (this.days[day] || 0) + pnl;
+    this.weeks[week] = (this.weeks[week] || 0) + pnl;
+    this.prune(time);
+
+    // Only a loss locks, so after an override trading continues until the next losing trade
+    if (pnl >= 0 || this.getLock(time)) return null;
+    if (this.weeklyLossLimit > 0 && this.weeks[week] <= -this.weeklyLossLimit) {
+      this.lock = { scope: 'weekly', period: week, pnl: this.weeks[week], limit: this.weeklyLossLimit, lockedAt: time.toISOString() };
+      return this.lock;
+    }
+    if (this.dailyLossLimit > 0 && this.days[day] <= -this.dailyLossLimit) {
+      this.lock = { scope: 'daily', period: day, pnl: this.days[day], limit: this.dailyLossLimit, lockedAt: time.toISOString() };
+      return this.lock;
+    }
+    return null;
+  }
+
+  /**
+   * The lock in force at a time; a lock lapses once the day or week it was set for is over
+   * @param {Date} [time=new Date()] - Time
+   * @returns {Object|null} Lock or null
+   */
+  getLock(time = new Date()) {
+    if (!this.lock) return null;
+    const current = this.lock.scope === 'weekly' ? weekKey(time) : dayKey(time);
+    return this.lock.period === current ? this.lock : null;
+  }
+
+  /**
+   * Check whether a trade may be placed
+   * @param {number} stake - Stake of the trade
+   * @param {Date} [time=new Date()] - Time
+   * @returns {string|null} Why it may not, or null if it may
+   */
+  check(stake, time = new Date()) {
+    const lock = this.getLock(time);
+    if (lock) {
+      return `${lock.scope} loss limit of $${lock.limit.toFixed(2)} reached with a $${Math.abs(lock.pnl).toFixed(2)} loss for ${lock.period}; override required`;
+    }
+    if (this.maxStakeAtRisk > 0 && stake > this.maxStakeAtRisk) {
+      return `stake $${stake.toFixed(2)} exceeds the maximum stake at risk of $${this.maxStakeAtRisk.toFixed(2)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Lift the lock in force. The override is kept with the state so it can be audited.
+   * @param {string} reason - Why the lock is being lifted
+   * @param {Date} [time=new Date()] - Time
+   * @returns {Object} The override record
+   */
+  override(reason, time = new Date()) {
+    const lock = this.getLock(time);
+    if (!lock) throw new Error('No risk lock is in force');
+    if (!reason?.trim()) throw new Error('A reason is required to override a risk lock');
+    const record = { scope: lock.scope, period: lock.period, pnl: lock.pnl, reason: reason.trim(), at: time.toISOString() };
+    this.overrides.push(record);
+    this.lock = null;
+    return record;
+  }
+
+  /**
+   * Drop days and weeks older than the retained history
+   * @param {Date} time - Current time
+   */
+  prune(time) {
+    const cutoff = new Date(time.getTime() - HISTORY_DAYS * 86400000);
+    const oldestDay = dayKey(cutoff);
+    const oldestWeek = weekKey(cutoff);
+    Object.keys(this.days).forEach((day) => {
+      if (day < oldestDay) delete this.days[day];
+    });
+    Object.keys(this.weeks).forEach((week) => {
+      if (week < oldestWeek) delete this.weeks[week];
+    });
+  }
+
+  /**
+   * Serialize the governor's state for storage; limits come from the configuration
+   * @returns {Object} Plain object
+   */
+  toJSON() {
+    return {
+      days: this.days,
+      weeks: this.weeks,
+      lock: this.lock,
+      overrides: this.overrides,
+    };
+  }
+
+  /**
+   * Restore state saved by toJSON, keeping the current limits
+   * @param {Object} json - Output of toJSON
+   */
+  restore(json) {
+    this.days = { ...json.days };
+    this.weeks = { ...json.weeks };
+    this.lock = json.lock || null;
+    this.overrides = [...(json.overrides || [])];
+  }
+}
@@ -0,0 +1,375 @@
+// rules.js - Declarative rule language of the Custom strategy: validation, evaluation and descriptions
+//
+// A rule set is a JSON array of rules, checked in order; the first rule whose condition holds trades:
+//   [{ "name": "Oversold bounce",
+//      "when": { "all": [{ "left": "rsi", "op": "<", "right": 30 },
+//                        { "left": "price", "op": "crosses_above", "right": "bollinger.lower" },
+//                        { "not": { "pattern": "BearishEngulfing" } },
+//                        { "time": { "from": "07:00", "to": "16:00" } }] },
+//      "action": "CALL", "stake": 2, "duration": 60 }]
+// Conditions are groups ({ "all": [...] }, { "any": [...] }, { "not": condition }), comparisons
+// ({ "left": operand, "op": operator, "right": operand or number }), candle patterns ({ "pattern": name or [names] })
+// and UTC time-of-day windows ({ "time": { "from": "HH:MM", "to": "HH:MM" } }, which may wrap past midnight).
+// Crossovers compare the last closed candle with the forming one. "stake" overrides position sizing and "duration"
+// is in the contract's own unit: seconds for Rise/Fall and Touch contracts, ticks for tick contracts.
+// The earlier format, an array of { indicator, operator, value } conditions traded in the MACD histogram's direction,
+// is still accepted and converted.
+
+/** Operands a comparison can read, each from an indicator point of IndicatorManager.getHistory */
+export const RULE_OPERANDS = {
+  price: (point) => point.close,
+  rsi: (point) => point.rsi,
+  macd: (point) => point.macd?.histogram,
+  'macd.line': (point) => point.macd?.line,
+  'macd.signal': (point) => point.macd?.signal,
+  stochastic: (point) => point.stochastic?.k,
+  'stochastic.d': (point) => point.stochastic?.d,
+  'bollinger.upper': (point) => point.bollingerBands?.upper,
+  'bollinger.middle': (point) => point.bollingerBands?.middle,
+  'bollinger.lower': (point) => point.bollingerBands?.lower,
+  ma: (point) => point.movingAverage,
+  ema12: (point) => point.ema12,
+  ema26: (point) => point.ema26,
+  adx: (point) => point.adx,
+  plusDI: (point) => point.plusDI,
+  minusDI: (point) => point.minusDI,
+  atr: (point) => point.atr,
+  volatility: (point) => point.volatility,
+  sentiment: (point) => point.sentiment,
+};
+
+export const RULE_OPERATORS = ['>', '>=', '<', '<=', 'crosses_above', 'crosses_below'];
+
+export const RULE_ACTIONS = ['CALL', 'PUT'];
+
+/** Patterns CandleManager.detectPattern reports */
+export const CANDLE_PATTERNS = ['BullishEngulfing', 'BearishEngulfing', 'Hammer', 'ShootingStar', 'Doji'];
+
+const MIN_STAKE = 0.35;
+const CONDITION_KEYS = ['all', 'any', 'not', 'left', 'pattern', 'time'];
+const RULE_KEYS = ['name', 'when', 'action', 'stake', 'duration'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// Conditions of the earlier { indicator, operator, value } format, as comparisons
+const LEGACY_CONDITIONS = {
+  rsi: (rule) => ({ left: 'rsi', op: rule.operator, right: rule.value }),
+  macd: (rule) => ({ left: 'macd', op: rule.operator, right: rule.value }),
+  stochastic: (rule) => ({ left: 'stochastic', op: rule.operator, right: rule.value }),
+  adx: (rule) => ({ left: 'adx', op: rule.operator, right: rule.value }),
+  bollinger: (rule) => ({ left: 'price', op: rule.operator, right: rule.operator === '>' ? 'bollinger.upper' : 'bollinger.lower' }),
+};
+
+/**
+ * RuleValidationError - A custom rule set is not valid JSON or does not match the rule schema
+ * @class
+ */
+export class RuleValidationError extends Error {
+  /**
+   * @param {Array<string>} errors - One message per problem, each prefixed with where it is
+   */
+  constructor(errors) {
+    super(`Invalid custom strategy rules: ${errors.join('; ')}`);
+    this.name = 'RuleValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Whether a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} Plain object or not
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a value names an operand
+ * @param {*} value - Value
+ * @returns {boolean} Operand name or not
+ */
+function isOperand(value) {
+  return typeof value === 'string' && Object.hasOwn(RULE_OPERANDS, value);
+}
+
+/**
+ * Describe a value for an error message
+ * @param {*} value - Value
+ * @returns {string} JSON of the value
+ */
+function show(value) {
+  return JSON.stringify(value) ?? String(value);
+}
+
+/**
+ * Minutes since midnight of an 'HH:MM' time
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function minutesOf(time) {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Check a condition and everything below it
+ * @param {*} node - Condition
+ * @param {string} path - Where the condition is, for messages
+ * @param {Array<string>} errors - Problems found so far; appended to
+ */
+function validateCondition(node, path, errors) {
+  if (!isObject(node)) {
+    errors.push(`${path}: expected a condition object, got ${show(node)}`);
+    return;
+  }
+  const kinds = CONDITION_KEYS.filter((key) => key in node);
+  if (kinds.length !== 1) {
+    errors.push(`${path}: a condition needs exactly one of ${CONDITION_KEYS.filter((key) => key !== 'left').join(', ')} or left/op/right, got ${kinds.length ? kinds.join(', ') : 'none'}`);
+    return;
+  }
+
+  const [kind] = kinds;
+  const allowed = kind === 'left' ? ['left', 'op', 'right'] : [kind];
+  Object.keys(node).filter((key) => !allowed.includes(key)).forEach((key) => {
+    errors.push(`${path}.${key}: unknown field`);
+  });
+
+  switch (kind) {
+    case 'all':
+    case 'any':
+      if (!Array.isArray(node[kind]) || node[kind].length === 0) {
+        errors.push(`${path}.${kind}: expected a non-empty array of conditions`);
+        return;
+      }
+      node[kind].forEach((child, index) => validateCondition(child, `${path}.${kind}[${index}]`, errors));
+      return;
+    case 'not':
+      validateCondition(node.not, `${path}.not`, errors);
+      return;
+    case 'left':
+      if (!isOperand(node.left)) {
+        errors.push(`${path}.left: unknown operand ${show(node.left)} (expected one of ${Object.keys(RULE_OPERANDS).join(', ')})`);
+      }
+      if (!RULE_OPERATORS.includes(node.op)) {
+        errors.push(`${path}.op: unknown operator ${show(node.op)} (expected one of ${RULE_OPERATORS.join(', ')})`);
+      }
+      if (!(Number.isFinite(node.right) || isOperand(node.right))) {
+        errors.push(`${path}.right: expected a number or an operand, got ${show(node.right)}`);
+      }
+      return;
+    case 'pattern': {
+      const patterns = Array.isArray(node.pattern) ? node.pattern : [node.pattern];
+      if (patterns.length === 0) errors.push(`${path}.pattern: expected at least one pattern`);
+      patterns.filter((pattern) => !CANDLE_PATTERNS.includes(pattern)).forEach((pattern) => {
+        errors.push(`${path}.pattern: unknown candle pattern ${show(pattern)} (expected one of ${CANDLE_PATTERNS.join(', ')})`);
+      });
+      return;
+    }
+    case 'time':
+      if (!isObject(node.time)) {
+        errors.push(`${path}.time: expected { "from": "HH:MM", "to": "HH:MM" }`);
+        return;
+      }
+      ['from', 'to'].forEach((bound) => {
+        if (typeof node.time[bound] !== 'string' || !TIME_PATTERN.test(node.time[bound])) {
+          errors.push(`${path}.time.${bound}: expected a UTC time as "HH:MM", got ${show(node.time[bound])}`);
+        }
+      });
+      if (node.time.from === node.time.to) {
+        errors.push(`${path}.time: from and to are both ${node.time.from}, which leaves an empty window`);
+      }
+      Object.keys(node.time).filter((key) => key !== 'from' && key !== 'to').forEach((key) => {
+        errors.push(`${path}.time.${key}: unknown field`);
+      });
+      return;
+  }
+}
+
+/**
+ * Check one rule
+ * @param {*} rule - Rule
+ * @param {string} path - Where the rule is, for messages
+ * @param {Array<string>} errors - Problems found so far; appended to
+ */
+function validateRule(rule, path, errors) {
+  if (!isObject(rule)) {
+    errors.push(`${path}: expected a rule object, got ${show(rule)}`);
+    return;
+  }
+  Object.keys(rule).filter((key) => !RULE_KEYS.includes(key)).forEach((key) => {
+    errors.push(`${path}.${key}: unknown field (expected ${RULE_KEYS.join(', ')})`);
+  });
+  if (rule.name !== undefined && typeof rule.name !== 'string') {
+    errors.push(`${path}.name: expected a string`);
+  }
+  if (!('when' in rule)) {
+    errors.push(`${path}.when: missing; every rule needs a condition`);
+  } else {
+    validateCondition(rule.when, `${path}.when`, errors);
+  }
+  if (!RULE_ACTIONS.includes(rule.action)) {
+    errors.push(`${path}.action: expected ${RULE_ACTIONS.join(' or ')}, got ${show(rule.action)}`);
+  }
+  if (rule.stake !== undefined && !(Number.isFinite(rule.stake) && rule.stake >= MIN_STAKE)) {
+    errors.push(`${path}.stake: expected a number of at least ${MIN_STAKE}, got ${show(rule.stake)}`);
+  }
+  if (rule.duration !== undefined && !(Number.isInteger(rule.duration) && rule.duration >= 1)) {
+    errors.push(`${path}.duration: expected a whole number of at least 1, got ${show(rule.duration)}`);
+  }
+}
+
+/**
+ * Convert a rule set of the earlier format: its conditions all hold, and the MACD histogram picks the direction
+ * @param {Array<Object>} conditions - Legacy conditions { indicator, operator, value }
+ * @returns {Array<Object>} Equivalent rules
+ */
+function convertLegacyRules(conditions) {
+  const errors = [];
+  const comparisons = conditions.map((condition, index) => {
+    const convert = LEGACY_CONDITIONS[condition.indicator];
+    if (!convert) {
+      errors.push(`rules[${index}].indicator: unknown indicator ${show(condition.indicator)} (expected one of ${Object.keys(LEGACY_CONDITIONS).join(', ')})`);
+      return null;
+    }
+    if (condition.operator !== '>' && condition.operator !== '<') {
+      errors.push(`rules[${index}].operator: expected > or <, got ${show(condition.operator)}`);
+    }
+    // Bollinger conditions compare the price with a band and ignore the value
+    if (condition.indicator !== 'bollinger' && !Number.isFinite(condition.value)) {
+      errors.push(`rules[${index}].value: expected a number, got ${show(condition.value)}`);
+    }
+    return convert(condition);
+  });
+  if (errors.length) throw new RuleValidationError(errors);
+
+  const rules = [
+    { name: 'legacy (MACD up)', when: { all: [...comparisons, { left: 'macd', op: '>', right: 0 }] }, action: 'CALL' },
+    { name: 'legacy (MACD down)', when: { all: [...comparisons, { left: 'macd', op: '<=', right: 0 }] }, action: 'PUT' },
+  ];
+  rules.forEach((rule, index) => validateRule(rule, `converted rules[${index}]`, errors));
+  if (errors.length) throw new RuleValidationError(errors);
+  return rules;
+}
+
+/**
+ * Parse and validate a rule set
+ * @param {string|Array<Object>} input - JSON text or parsed rules; blank text is an empty rule set
+ * @returns {Array<Object>} Rules, each named
+ * @throws {RuleValidationError} If the JSON is malformed or any rule breaks the schema; lists every problem found
+ */
+export function parseRules(input) {
+  let rules = input;
+  if (typeof input === 'string') {
+    if (!input.trim()) return [];
+    try {
+      rules = JSON.parse(input);
+    } catch (error) {
+      throw new RuleValidationError([`not valid JSON (${error.message})`]);
+    }
+  }
+  if (!Array.isArray(rules)) {
+    throw new RuleValidationError([`expected an array of rules, got ${show(rules)}`]);
+  }
+  if (rules.length && rules.every((rule) => isObject(rule) && 'indicator' in rule)) {
+    return convertLegacyRules(rules);
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => validateRule(rule, `rules[${index}]`, errors));
+  if (errors.length) throw new RuleValidationError(errors);
+  return rules.map((rule, index) => ({ ...rule, name: rule.name || `rule ${index + 1}` }));
+}
+
+/**
+ * Value of a comparison side at an indicator point
+ * @param {string|number} operand - Operand name or number
+ * @param {Object|null} point - Indicator point
+ * @returns {number|null} Value, or null while the indicator is not yet available
+ */
+function valueOf(operand, point) {
+  if (typeof operand === 'number') return operand;
+  const value = point ? RULE_OPERANDS[operand](point) : null;
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Evaluate a validated condition
+ * @param {Object} node - Condition
+ * @param {Object} context - Market state { current, previous, pattern, time }: the forming candle's and the last
+ *   closed candle's indicator points, the detected candle pattern, and the time the condition is evaluated at
+ * @returns {boolean} Whether the condition holds; comparisons on indicators that are not yet available do not
+ */
+export function evaluateCondition(node, context) {
+  if (node.all) return node.all.every((child) => evaluateCondition(child, context));
+  if (node.any) return node.any.some((child) => evaluateCondition(child, context));
+  if (node.not) return !evaluateCondition(node.not, context);
+  if (node.pattern) {
+    return (Array.isArray(node.pattern) ? node.pattern : [node.pattern]).includes(context.pattern);
+  }
+  if (node.time) {
+    const now = context.time.getUTCHours() * 60 + context.time.getUTCMinutes();
+    const from = minutesOf(node.time.from);
+    const to = minutesOf(node.time.to);
+    return from <= to ? now >= from && now < to : now >= from || now < to;
+  }
+
+  const left = valueOf(node.left, context.current);
+  const right = valueOf(node.right, context.current);
+  if (left === null || right === null) return false;
+  switch (node.op) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: {
+      const previousLeft = valueOf(node.left, context.previous);
+      const previousRight = valueOf(node.right, context.previous);
+      if (previousLeft === null || previousRight === null) return false;
+      return node.op === 'crosses_above' ?
+        previousLeft <= previousRight && left > right :
+        previousLeft >= previousRight && left < right;
+    }
+  }
+}
+
+/**
+ * Evaluate a validated condition and report every part of it, for showing which parts hold
+ * @param {Object} node - Condition
+ * @param {Object} context - Market state, as for evaluateCondition
+ * @returns {Object} { result, children } mirroring the condition; children lists the parts of all/any groups,
+ *   or the negated condition of a not, and is empty for comparisons, patterns and times
+ */
+export function explainCondition(node, context) {
+  const parts = node.all || node.any || (node.not ? [node.not] : []);
+  return {
+    result: evaluateCondition(node, context),
+    children: parts.map((child) => explainCondition(child, context)),
+  };
+}
+
+/**
+ * First rule whose condition holds
+ * @param {Array<Object>} rules - Rules from parseRules
+ * @param {Object} context - Market state, as for evaluateCondition
+ * @returns {Object|null} The rule, or null if none holds
+ */
+export function matchRule(rules, context) {
+  return rules.find((rule) => evaluateCondition(rule.when, context)) || null;
+}
+
+/**
+ * Readable form of a condition, for logs and trade reasons
+ * @param {Object} node - Condition
+ * @returns {string} Description, e.g. "rsi < 30 AND (price crosses_above bollinger.lower OR Hammer)"
+ */
+export function describeCondition(node) {
+  const group = (children, joiner) => children
+    .map((child) => (child.all || child.any ? `(${describeCondition(child)})` : describeCondition(child)))
+    .join(joiner);
+  if (node.all) return group(node.all, ' AND ');
+  if (node.any) return group(node.any, ' OR ');
+  if (node.not) return `NOT ${node.not.all || node.not.any ? `(${describeCondition(node.not)})` : describeCondition(node.not)}`;
+  if (node.pattern) return Array.isArray(node.pattern) ? node.pattern.join('/') : node.pattern;
+  if (node.time) return `${node.time.from}-${node.time.to} UTC`;
+  return `${node.left} ${node.op} ${node.right}`;
+}
@@ -4,23 +4,61 @@
  */
 import { CandleManager } from './candles.js';
 import { IndicatorManager } from './indicators.js';
-import { saveData, loadData } from './pipeline.js';
-import { predictTrade } from './ml.js';
+import { saveData, loadData, upsertData, queryData, clearData, initPipeline } from './pipeline.js';
+import { predictTrade, TradeModel, ModelWorker } from './ml.js';
+import { FEATURE_NAMES, extractFeatures, buildDataset } from './mlpipeline.js';
+import { Backtester } from './backtest.js';
+import { calculateIntelligenceLevel, getKnowledgeStatus } from './knowledge.js';
+import { DerivApiError, RequestTimeoutError, ConnectionError } from './errors.js';
+import { ConnectionManager } from './connection.js';
+import { DerivSimulator } from './simulator.js';
+import { PaperLedger } from './paper.js';
+import { CONTRACT_TYPES, resolveContract, buildProposalRequest, formatBarrier, contractDirection, digitBarrierRange } from './contracts.js';
+import { DigitAnalytics } from './digits.js';
+import { PositionBook } from './positions.js';
+import { RiskGovernor } from './risk.js';
+import { EquityTracker } from './equity.js';
+import { progressionFactor, nextProgressionStep, simulateRuin } from './progression.js';
+import {
+  RULE_OPERANDS, RULE_OPERATORS, RULE_ACTIONS, CANDLE_PATTERNS,
+  RuleValidationError, parseRules, matchRule, explainCondition, describeCondition,
+} from './rules.js';
+
+const DERIV_ENDPOINT = 'wss://ws.derivws.com/websockets/v3';
+const CANDLE_GRANULARITIES = [60, 120, 180, 300, 600, 900, 1800, 3600, 7200, 14400, 28800, 86400]; // Accepted by ticks_history
+const SIMULATOR_ENDPOINT = 'simulator://local';
+const REQUEST_TIMEOUT = 10000; // Milliseconds to wait for a response to send()
+const RETRY_DELAY = 1000; // Milliseconds before an order rejected for its stake or the rate limit is retried, once
+const DIGIT_WINDOWS = [25, 100, 1000]; // Rolling tick windows of the digit statistics
+const DIGIT_HOT_FREQUENCY = 0.13; // Share of the window a digit needs before digit-differs bets against it repeating
+const ACCOUNT_FIELDS = ['totalTrades', 'wins', 'losses', 'currentStreak', 'totalPnL', 'consecutiveLosses', 'lastTradeResult', 'progressionStep', 'strategyStats']; // Kept per trading mode
 
 class AdvancedDerivBot {
   constructor() {
     // WebSocket connection
-    this.ws = null;
+    this.connection = new ConnectionManager({
+      onOpen: ({ reconnected }) => this.handleOpen(reconnected),
+      onMessage: (data) => {
+        this.log(`Received message: ${data.msg_type} (req_id: ${data.req_id || 'none'})`, 'debug');
+        this.handleMessage(data);
+      },
+      onClose: (status) => this.handleClose(status),
+      createSocket: (url) => (url === SIMULATOR_ENDPOINT ? this.getSimulator().connect() : new WebSocket(url)),
+    });
+    this.useSimulator = false;
+    this.simulator = null; // DerivSimulator, created on first use
+    this.subscriptions = new Map(); // Map<key, restore function> replayed after a reconnect
     this.isConnected = false;
+    this.isAuthorized = false;
     this.isTrading = false;
     this.appId = 1089;
+    this.endpoint = DERIV_ENDPOINT;
     this.apiToken = null;
-    this.connectionRetries = 0;
-    this.maxRetries = 3;
     this.debugMode = true;
 
     // Trading statistics
-    this.balance = 0;
+    this.balance = 0; // Balance of the active trading mode
+    this.liveBalance = 0; // Last balance reported by the API
     this.totalTrades = 0;
     this.wins = 0;
     this.losses = 0;
@@ -30,27 +68,64 @@ class AdvancedDerivBot {
     this.initialStake = 1;
     this.lastTradeResult = null;
     this.consecutiveLosses = 0;
+    this.progressionStep = 0; // Martingale/D'Alembert step; the stake is the sized stake times progressionFactor of it
+
+    // Paper trading: live ticks and proposals, locally filled contracts, separate statistics
+    this.paperLedger = new PaperLedger();
+    this.accountStats = { live: null, paper: null }; // Statistics of the inactive mode, swapped in by setPaperTrading
 
     // Market data
     this.currentPrice = 0;
-    this.candleManager = new CandleManager({ timeframe: 60 });
+    this.replayTime = null; // Time of the tick a backtest is replaying; rules read the clock from it instead of now
+    this.view = window; // Page hooks the bot reports to (updateUI, chart updates); backtest contexts replace them with no-ops
+    this.pipSizes = new Map(); // Map<symbol, decimal places of its quotes>
+    this.digitAnalytics = new DigitAnalytics({ windows: DIGIT_WINDOWS });
+    this.candleManager = new CandleManager({
+      timeframe: 60,
+      timeframes: [15, 60, 300, 900],
+      onCandleClose: (symbol, timeframe, candle) => this.persistCandle(symbol, timeframe, candle),
+    });
     this.indicatorManager = new IndicatorManager();
+    this.mlModel = new TradeModel({ featureNames: FEATURE_NAMES });
+    this.modelWorker = new ModelWorker(); // Training and walk-forward run off the UI thread
+    this.modelJobs = { train: null, evaluate: null }; // Promises of the tasks in flight, so retraining never piles up
+    this.tradesSinceTraining = 0;
+    this.walkForwardReport = null;
+    this.backtestWinRate = 0; // Out-of-sample win rate from the latest walk-forward evaluation
+    this.mlConfidences = []; // Recent ML prediction confidences
+    this.labelledTradeCount = 0;
 
     // Trading configuration with defaults
     this.config = {
       strategy: 'martingale',
       symbol: 'R_10',
       symbols: ['R_10'],
-      tradeType: 'CALL',
+      contractFamily: 'rise-fall',
       duration: 60,
+      digitBarrier: 5,
+      digitTicks: 5,
+      digitWindow: 100,
+      digitStreak: 4,
+      touchBarrier: 0.05, // Percent of spot between entry and a touch barrier
+      contractMultiplier: 100,
+      multiplierStopLoss: 0,
+      multiplierTakeProfit: 0,
       maxLoss: 50,
       maxProfit: 100,
       maxTrades: 50,
       multiplier: 2.1,
+      maxProgressionSteps: 5,
+      progressionOnCap: 'reset', // 'reset' returns to the base stake past the cap, 'hold' keeps the capped stake
       stopLossEnabled: true,
       takeProfitEnabled: true,
       maxDrawdown: 20,
       maxConsecutiveLosses: 5,
+      maxOpenPositions: 3,
+      maxOpenPerSymbol: 1,
+      maxExposure: 50,
+      dailyLossLimit: 50,
+      weeklyLossLimit: 150,
+      maxStakeAtRisk: 20,
       cooldownPeriod: 300000,
       positionSizing: 'kelly',
       fixedFraction: 0.02,
@@ -60,16 +135,38 @@ class AdvancedDerivBot {
       trailingProfitThreshold: 0.5,
       useCandlePatterns: true,
       candleTimeframe: 60,
+      timeframes: [15, 60, 300, 900],
       chartType: 'line',
+      payoutRatio: 0.85,
+      mlMinConfidence: 0.55,
+      mlRetrainInterval: 25,
+      knowledgeThreshold: 5,
+      knowledgeGateMode: 'block',
+      knowledgeStakeCap: 0.35,
+      paperTrading: false,
     };
 
+    // History warm-start state
+    this.historyRequests = new Map(); // Map<req_id, { symbol, style, granularity }>
+    this.firstLiveEpoch = new Map(); // Map<symbol, epoch of the first streamed tick>
+    this.historyEndEpoch = new Map(); // Map<symbol, last backfilled tick epoch before streaming began>
+
     // Trading state management
-    this.tradeQueue = [];
-    this.activeContract = null;
+    this.positions = new PositionBook({
+      maxOpen: this.config.maxOpenPositions,
+      maxOpenPerSymbol: this.config.maxOpenPerSymbol,
+      maxExposure: this.config.maxExposure,
+    });
+    // Loss limits survive reloads; each trading mode answers to its own governor
+    this.riskGovernors = {
+      live: new RiskGovernor(this.riskLimits()),
+      paper: new RiskGovernor(this.riskLimits()),
+    };
+    this.equityTrackers = { live: new EquityTracker(), paper: new EquityTracker() };
     this.lastTradeTime = 0;
     this.minTradeInterval = 5000;
-    this.isProcessingQueue = false;
     this.requestIdCounter = 1;
+    this.pendingRequests = new Map(); // Map<req_id, { request, resolve, reject, timer }>
     this.isPaused = false;
     this.historicalData = [];
     this.strategyStats = {};
@@ -97,11 +194,52 @@ class AdvancedDerivBot {
       this.log(`Initialized symbol: ${symbol}`, 'info');
     });
     this.setupEventListeners();
-    this.loadHistoricalData();
     this.updateUI();
+    this.loadStoredData();
     this.log('Bot initialized successfully', 'info');
   }
 
+  /**
+   * Wait for the data pipeline, then restore trade history and the ML model
+   */
+  async loadStoredData() {
+    await initPipeline();
+    this.restoreCandles();
+    this.restorePaperAccount();
+    this.restoreRiskGovernors();
+    this.loadHistoricalData();
+    this.loadModel();
+    this.updateUI();
+  }
+
+  /**
+   * Save a record to the data pipeline
+   * @param {string} key - Data key (e.g., 'trades', 'ticks', 'candles')
+   * @param {Object} data - Data to save
+   */
+  saveData(key, data) {
+    saveData(key, data);
+  }
+
+  /**
+   * Load records from the data pipeline
+   * @param {string} key - Data key
+   * @param {number} [limit=Infinity] - Maximum number of records
+   * @returns {Array<Object>} Records, oldest first
+   */
+  loadData(key, limit = Infinity) {
+    return loadData(key, limit);
+  }
+
+  /**
+   * Delete all records for a key from the data pipeline
+   * @param {string} key - Data key
+   * @returns {Promise<void>} Resolves once cleared
+   */
+  clearData(key) {
+    return clearData(key);
+  }
+
   /**
    * Log messages to console and UI
    * @param {string} message - Message to log
@@ -114,12 +252,22 @@ class AdvancedDerivBot {
     }
   }
 
+  /**
+   * Live trades from the 'trades' store. Paper trades share the store under mode 'paper' and are left out, so they
+   * never reach position sizing, the ML dataset or the knowledge gate; records without a mode predate paper trading.
+   * @returns {Array<Object>} Trade records
+   */
+  loadLiveTrades() {
+    return (loadData('trades') || []).filter((trade) => trade.mode !== 'paper');
+  }
+
   /**
    * Load historical data from storage
    */
   loadHistoricalData() {
     try {
-      this.historicalData = loadData('trades') || [];
+      this.historicalData = this.loadLiveTrades();
+      this.labelledTradeCount = buildDataset(this.historicalData).labels.length;
       this.log(`Loaded ${this.historicalData.length} historical trades`, 'info');
     } catch (error) {
       this.log(`Error loading historical data: ${error.message}`, 'error');
@@ -146,7 +294,27 @@ class AdvancedDerivBot {
     addListener('start-btn', 'click', () => this.startTrading());
     addListener('stop-btn', 'click', () => this.stopTrading());
     addListener('reset-btn', 'click', () => this.resetStats());
+    addListener('override-risk-btn', 'click', () => {
+      const reason = window.prompt('Reason for overriding the risk lock:');
+      if (reason !== null) this.overrideRiskLock(reason);
+    });
     addListener('backtest-btn', 'click', () => this.runBacktest());
+    addListener('ruin-btn', 'click', () => this.runRuinSimulation());
+    addListener('train-model-btn', 'click', () => this.trainModel());
+    addListener('walk-forward-btn', 'click', () => this.evaluateModel());
+    addListener('paper-trading', 'change', (e) => {
+      if (!this.setPaperTrading(e.target.checked)) {
+        e.target.checked = this.config.paperTrading;
+      }
+    });
+    addListener('endpoint-select', 'change', (e) => {
+      this.useSimulator = e.target.value === 'simulator';
+      this.log(`Endpoint: ${this.useSimulator ? 'offline simulator' : 'Deriv'}`, 'info');
+    });
+    addListener('endpoint-url', 'change', (e) => {
+      this.endpoint = e.target.value.trim() || DERIV_ENDPOINT;
+      this.log(`Endpoint updated: ${this.endpoint}`, 'debug');
+    });
     addListener('app-id', 'change', (e) => {
       this.appId = parseInt(e.target.value, 10) || 1089;
       this.log(`App ID updated: ${this.appId}`, 'debug');
@@ -159,17 +327,33 @@ class AdvancedDerivBot {
     const configInputs = [
       'strategy-select',
       'symbols',
-      'trade-type',
+      'contract-family',
       'duration',
+      'digit-barrier',
+      'digit-ticks',
+      'digit-window',
+      'digit-streak',
+      'touch-barrier',
+      'contract-multiplier',
+      'multiplier-stop-loss',
+      'multiplier-take-profit',
       'stake',
       'max-loss',
       'max-profit',
       'max-trades',
       'multiplier',
+      'max-progression-steps',
+      'progression-on-cap',
       'stop-loss-enabled',
       'take-profit-enabled',
       'max-drawdown',
       'max-consecutive-losses',
+      'max-open-positions',
+      'max-open-per-symbol',
+      'max-exposure',
+      'daily-loss-limit',
+      'weekly-loss-limit',
+      'max-stake-at-risk',
       'cooldown-period',
       'position-sizing',
       'fixed-fraction',
@@ -178,7 +362,13 @@ class AdvancedDerivBot {
       'dynamic-switching',
       'use-candle-patterns',
       'candle-timeframe',
+      'timeframes',
       'chart-type',
+      'payout-ratio',
+      'ml-min-confidence',
+      'knowledge-threshold',
+      'knowledge-gate-mode',
+      'knowledge-stake-cap',
     ];
 
     configInputs.forEach((id) => {
@@ -209,6 +399,7 @@ class AdvancedDerivBot {
                       type === 'integer' ? parseInt(element.value, 10) :
                       type === 'boolean' ? element.checked :
                       type === 'json' ? JSON.parse(element.value || '[]') :
+                      type === 'integer-list' ? element.value.split(',').map((v) => parseInt(v, 10)).filter((v) => !Number.isNaN(v)) :
                       element.value;
         return Number.isNaN(value) ? null : value;
       } catch (error) {
@@ -221,25 +412,47 @@ class AdvancedDerivBot {
       const newConfig = {
         strategy: getValue('strategy-select') || this.config.strategy,
         symbols: getValue('symbols') || this.config.symbols,
-        tradeType: getValue('trade-type') || this.config.tradeType,
+        contractFamily: getValue('contract-family') || this.config.contractFamily,
         duration: getValue('duration', 'integer') || this.config.duration,
+        digitBarrier: getValue('digit-barrier', 'integer') ?? this.config.digitBarrier,
+        digitTicks: getValue('digit-ticks', 'integer') || this.config.digitTicks,
+        digitWindow: getValue('digit-window', 'integer') || this.config.digitWindow,
+        digitStreak: getValue('digit-streak', 'integer') || this.config.digitStreak,
+        touchBarrier: getValue('touch-barrier', 'number') || this.config.touchBarrier,
+        contractMultiplier: getValue('contract-multiplier', 'integer') || this.config.contractMultiplier,
+        multiplierStopLoss: getValue('multiplier-stop-loss', 'number') ?? this.config.multiplierStopLoss,
+        multiplierTakeProfit: getValue('multiplier-take-profit', 'number') ?? this.config.multiplierTakeProfit,
         maxLoss: getValue('max-loss', 'number') || this.config.maxLoss,
         maxProfit: getValue('max-profit', 'number') || this.config.maxProfit,
         maxTrades: getValue('max-trades', 'integer') || this.config.maxTrades,
         multiplier: getValue('multiplier', 'number') || this.config.multiplier,
+        maxProgressionSteps: getValue('max-progression-steps', 'integer') ?? this.config.maxProgressionSteps,
+        progressionOnCap: getValue('progression-on-cap') || this.config.progressionOnCap,
         stopLossEnabled: getValue('stop-loss-enabled', 'boolean') ?? this.config.stopLossEnabled,
         takeProfitEnabled: getValue('take-profit-enabled', 'boolean') ?? this.config.takeProfitEnabled,
         maxDrawdown: getValue('max-drawdown', 'number') || this.config.maxDrawdown,
         maxConsecutiveLosses: getValue('max-consecutive-losses', 'integer') || this.config.maxConsecutiveLosses,
+        maxOpenPositions: getValue('max-open-positions', 'integer') || this.config.maxOpenPositions,
+        maxOpenPerSymbol: getValue('max-open-per-symbol', 'integer') || this.config.maxOpenPerSymbol,
+        maxExposure: getValue('max-exposure', 'number') || this.config.maxExposure,
+        dailyLossLimit: getValue('daily-loss-limit', 'number') ?? this.config.dailyLossLimit,
+        weeklyLossLimit: getValue('weekly-loss-limit', 'number') ?? this.config.weeklyLossLimit,
+        maxStakeAtRisk: getValue('max-stake-at-risk', 'number') ?? this.config.maxStakeAtRisk,
         cooldownPeriod: getValue('cooldown-period', 'integer') || this.config.cooldownPeriod,
         positionSizing: getValue('position-sizing') || this.config.positionSizing,
         fixedFraction: getValue('fixed-fraction', 'number') || this.config.fixedFraction,
-        customStrategyRules: getValue('custom-strategy-rules', 'json') || this.config.customStrategyRules,
+        customStrategyRules: getValue('custom-strategy-rules') ?? this.config.customStrategyRules,
         useMultiTimeframe: getValue('multi-timeframe', 'boolean') ?? this.config.useMultiTimeframe,
         useDynamicSwitching: getValue('dynamic-switching', 'boolean') ?? this.config.useDynamicSwitching,
         useCandlePatterns: getValue('use-candle-patterns', 'boolean') ?? this.config.useCandlePatterns,
         candleTimeframe: getValue('candle-timeframe', 'integer') || this.config.candleTimeframe,
+        timeframes: getValue('timeframes', 'integer-list') || this.config.timeframes,
         chartType: getValue('chart-type') || this.config.chartType,
+        payoutRatio: getValue('payout-ratio', 'number') || this.config.payoutRatio,
+        mlMinConfidence: getValue('ml-min-confidence', 'number') || this.config.mlMinConfidence,
+        knowledgeThreshold: getValue('knowledge-threshold', 'integer') ?? this.config.knowledgeThreshold,
+        knowledgeGateMode: getValue('knowledge-gate-mode') || this.config.knowledgeGateMode,
+        knowledgeStakeCap: getValue('knowledge-stake-cap', 'number') || this.config.knowledgeStakeCap,
       };
 
       // Validation
@@ -251,6 +464,40 @@ class AdvancedDerivBot {
         this.log('Error: Duration must be at least 1 second', 'error');
         newConfig.duration = 1;
       }
+      if (newConfig.digitBarrier < 0 || newConfig.digitBarrier > 9) {
+        this.log('Error: Digit barrier must be between 0 and 9', 'error');
+        newConfig.digitBarrier = this.config.digitBarrier;
+      }
+      if (newConfig.strategy === 'digit-over-under' && (newConfig.digitBarrier === 0 || newConfig.digitBarrier === 9)) {
+        // Every streak is then on the side whose opposite contract, Under 0 or Over 9, is not offered
+        this.log(`Warning: Digit Over/Under never trades with barrier ${newConfig.digitBarrier}; ` +
+          'Over takes barriers 0-8 and Under 1-9', 'warning');
+      }
+      if (newConfig.digitTicks < 1 || newConfig.digitTicks > 10) {
+        this.log('Error: Digit contracts last between 1 and 10 ticks', 'error');
+        newConfig.digitTicks = this.config.digitTicks;
+      }
+      if (!DIGIT_WINDOWS.includes(newConfig.digitWindow)) {
+        this.log(`Error: Digit window must be one of ${DIGIT_WINDOWS.join(', ')} ticks`, 'error');
+        newConfig.digitWindow = this.config.digitWindow;
+      }
+      if (newConfig.digitStreak < 2) {
+        this.log('Error: Digit streak must be at least 2 ticks', 'error');
+        newConfig.digitStreak = 2;
+      }
+      if (newConfig.touchBarrier <= 0) {
+        this.log('Error: Touch barrier offset must be positive', 'error');
+        newConfig.touchBarrier = this.config.touchBarrier;
+      }
+      if (newConfig.contractMultiplier < 1) {
+        this.log('Error: Contract multiplier must be at least 1', 'error');
+        newConfig.contractMultiplier = this.config.contractMultiplier;
+      }
+      if (newConfig.multiplierStopLoss < 0 || newConfig.multiplierTakeProfit < 0) {
+        this.log('Error: Multiplier stop loss and take profit cannot be negative (0 disables them)', 'error');
+        newConfig.multiplierStopLoss = Math.max(0, newConfig.multiplierStopLoss);
+        newConfig.multiplierTakeProfit = Math.max(0, newConfig.multiplierTakeProfit);
+      }
       if (newConfig.maxLoss < 0) {
         this.log('Error: Max loss cannot be negative', 'error');
         newConfig.maxLoss = 0;
@@ -267,6 +514,21 @@ class AdvancedDerivBot {
         this.log('Error: Multiplier must be at least 1', 'error');
         newConfig.multiplier = 1;
       }
+      if (newConfig.maxProgressionSteps < 0) {
+        this.log('Error: Max progression steps cannot be negative', 'error');
+        newConfig.maxProgressionSteps = 0;
+      }
+      if (!['reset', 'hold'].includes(newConfig.progressionOnCap)) {
+        this.log(`Error: Unknown progression cap behaviour '${newConfig.progressionOnCap}'`, 'error');
+        newConfig.progressionOnCap = this.config.progressionOnCap;
+      }
+      try {
+        newConfig.customStrategyRules = parseRules(newConfig.customStrategyRules);
+      } catch (error) {
+        if (!(error instanceof RuleValidationError)) throw error;
+        this.log(`Error: ${error.message}`, 'error');
+        newConfig.customStrategyRules = this.config.customStrategyRules;
+      }
       if (newConfig.maxDrawdown < 0) {
         this.log('Error: Max drawdown cannot be negative', 'error');
         newConfig.maxDrawdown = 0;
@@ -275,6 +537,25 @@ class AdvancedDerivBot {
         this.log('Error: Max consecutive losses must be at least 1', 'error');
         newConfig.maxConsecutiveLosses = 1;
       }
+      if (newConfig.maxOpenPositions < 1 || newConfig.maxOpenPerSymbol < 1) {
+        this.log('Error: Open position limits must be at least 1', 'error');
+        newConfig.maxOpenPositions = Math.max(1, newConfig.maxOpenPositions);
+        newConfig.maxOpenPerSymbol = Math.max(1, newConfig.maxOpenPerSymbol);
+      }
+      if (newConfig.maxOpenPerSymbol > newConfig.maxOpenPositions) {
+        this.log('Error: Positions per symbol cannot exceed the total open positions', 'error');
+        newConfig.maxOpenPerSymbol = newConfig.maxOpenPositions;
+      }
+      if (newConfig.maxExposure < 0.35) {
+        this.log('Error: Max exposure must cover at least the minimum stake of 0.35', 'error');
+        newConfig.maxExposure = 0.35;
+      }
+      if (newConfig.dailyLossLimit < 0 || newConfig.weeklyLossLimit < 0 || newConfig.maxStakeAtRisk < 0) {
+        this.log('Error: Risk limits cannot be negative (0 disables them)', 'error');
+        newConfig.dailyLossLimit = Math.max(0, newConfig.dailyLossLimit);
+        newConfig.weeklyLossLimit = Math.max(0, newConfig.weeklyLossLimit);
+        newConfig.maxStakeAtRisk = Math.max(0, newConfig.maxStakeAtRisk);
+      }
       if (newConfig.cooldownPeriod < 1000) {
         this.log('Error: Cooldown period must be at least 1000ms', 'error');
         newConfig.cooldownPeriod = 1000;
@@ -287,12 +568,39 @@ class AdvancedDerivBot {
         this.log('Error: Candle timeframe must be at least 1 second', 'error');
         newConfig.candleTimeframe = 1;
       }
+      if (newConfig.timeframes.length === 0 || newConfig.timeframes.some((tf) => tf < 1)) {
+        this.log('Error: Timeframes must be a comma-separated list of positive seconds', 'error');
+        newConfig.timeframes = this.config.timeframes;
+      }
+      if (newConfig.payoutRatio <= 0 || newConfig.payoutRatio > 10) {
+        this.log('Error: Payout ratio must be between 0 and 10', 'error');
+        newConfig.payoutRatio = this.config.payoutRatio;
+      }
+      if (newConfig.mlMinConfidence < 0.5 || newConfig.mlMinConfidence > 1) {
+        this.log('Error: ML minimum confidence must be between 0.5 and 1', 'error');
+        newConfig.mlMinConfidence = this.config.mlMinConfidence;
+      }
+      if (newConfig.knowledgeThreshold < 0 || newConfig.knowledgeThreshold > 10) {
+        this.log('Error: Knowledge threshold must be between 0 and 10', 'error');
+        newConfig.knowledgeThreshold = this.config.knowledgeThreshold;
+      }
+      if (newConfig.knowledgeStakeCap < 0.35) {
+        this.log('Error: Knowledge stake cap must be at least 0.35', 'error');
+        newConfig.knowledgeStakeCap = 0.35;
+      }
 
       this.config = { ...this.config, ...newConfig };
       this.config.symbol = this.config.symbols[0] || 'R_10';
       this.initialStake = parseFloat((getValue('stake', 'number') || this.initialStake).toFixed(1));
       this.currentStake = this.initialStake;
       this.candleManager.setTimeframe(this.config.candleTimeframe);
+      this.candleManager.setTimeframes(this.config.timeframes);
+      this.positions.configure({
+        maxOpen: this.config.maxOpenPositions,
+        maxOpenPerSymbol: this.config.maxOpenPerSymbol,
+        maxExposure: this.config.maxExposure,
+      });
+      Object.values(this.riskGovernors).forEach((governor) => governor.configure(this.riskLimits()));
 
       // Re-initialize symbols after config update
       this.config.symbols.forEach((symbol) => {
@@ -317,94 +625,174 @@ class AdvancedDerivBot {
       return;
     }
 
-    if (!this.apiToken) {
+    if (!this.apiToken && !this.useSimulator) {
       this.log('Warning: API token not provided; authentication will be skipped', 'warning');
     }
 
-    if (this.connectionRetries >= this.maxRetries) {
-      this.log('Error: Maximum connection retries reached', 'error');
-      this.updateConnectionStatus('Error: Max Retries Reached', false);
-      return;
+    const wsUrl = this.useSimulator ? SIMULATOR_ENDPOINT : `${this.endpoint}?app_id=${this.appId}`;
+    this.log(`Connecting to WebSocket: ${wsUrl}`, 'debug');
+    this.connection.connect(wsUrl);
+    this.updateConnectionStatus('Connecting...', false);
+  }
+
+  /**
+   * Authorize and start or restore every stream once the socket opens
+   * @param {boolean} reconnected - Whether this open follows a dropped connection
+   */
+  async handleOpen(reconnected) {
+    this.updateConnectionStatus('Connected', true);
+    this.log(reconnected ? 'WebSocket reconnected; restoring subscriptions' : 'WebSocket connected successfully', 'success');
+
+    // The simulator accepts any token, so it trades without one
+    const token = this.apiToken || (this.useSimulator ? 'simulator' : null);
+    if (token) {
+      this.log('Sending authentication request', 'debug');
+      await this.authenticate(token);
+      if (!this.connection.isOpen) return; // Dropped again; the next open restores everything
     }
 
-    try {
-      this.updateConnectionStatus('Connecting...', false);
-      const wsUrl = `wss://ws.derivws.com/websockets/v3?app_id=${this.appId}`;
-      this.log(`Connecting to WebSocket: ${wsUrl}`, 'debug');
-      this.ws = new WebSocket(wsUrl);
-      this.connectionRetries++;
-
-      this.ws.onopen = () => {
-        this.isConnected = true;
-        this.connectionRetries = 0;
-        this.updateConnectionStatus('Connected', true);
-        this.log('WebSocket connected successfully', 'success');
-
-        if (this.apiToken) {
-          this.log('Sending authentication request', 'debug');
-          this.authenticate();
-        }
-        this.config.symbols.forEach((symbol) => {
-          this.log(`Subscribing to ticks for ${symbol}`, 'debug');
-          this.subscribeToTicks(symbol);
-        });
-        this.requestBalance();
-        this.processQueue();
-      };
+    if (reconnected) {
+      this.subscriptions.forEach((restore) => restore());
+      await this.recoverOpenContracts();
+    } else {
+      this.subscriptions.clear();
+      this.config.symbols.forEach((symbol) => {
+        this.log(`Subscribing to ticks for ${symbol}`, 'debug');
+        this.subscribeToTicks(symbol);
+      });
+      if (this.isAuthorized) this.subscribeToBalance();
+    }
+  }
 
-      this.ws.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          this.log(`Received message: ${data.msg_type} (req_id: ${data.req_id || 'none'})`, 'debug');
-          this.handleMessage(data);
-        } catch (error) {
-          this.log(`Error parsing WebSocket message: ${error.message}`, 'error');
-        }
-      };
+  /**
+   * Get the offline simulator, creating it on first use
+   * @returns {DerivSimulator} Simulator
+   */
+  getSimulator() {
+    this.simulator ??= new DerivSimulator();
+    return this.simulator;
+  }
 
-      this.ws.onclose = () => {
-        this.isConnected = false;
-        this.updateConnectionStatus('Disconnected', false);
-        this.log('WebSocket connection closed', 'warning');
+  /**
+   * Fail in-flight requests and report the reconnect when the socket closes
+   * @param {Object} status - { willReconnect, delay } from the connection manager
+   */
+  handleClose({ willReconnect, delay }) {
+    this.isAuthorized = false;
+    this.rejectPendingRequests(new ConnectionError('WebSocket closed before the response arrived'));
+    this.log('WebSocket connection closed', 'warning');
+    this.updateConnectionStatus(willReconnect ? `Reconnecting in ${(delay / 1000).toFixed(1)}s` : 'Disconnected', false);
+  }
 
-        if (this.connectionRetries < this.maxRetries) {
-          this.log(`Retrying connection (${this.connectionRetries + 1}/${this.maxRetries})...`, 'info');
-          setTimeout(() => this.connect(), 5000);
-        }
-      };
+  /**
+   * Remember how to restore a stream after a reconnect
+   * @param {string} key - Stream key, e.g. 'ticks:R_10'
+   * @param {Function} restore - Re-subscribes the stream
+   */
+  trackSubscription(key, restore) {
+    this.subscriptions.set(key, restore);
+  }
 
-      this.ws.onerror = (error) => {
-        this.log(`WebSocket error: ${error.message || 'Unknown error'}`, 'error');
-        this.updateConnectionStatus('Error', false);
-      };
+  /**
+   * Find the open live contracts in the portfolio after a reconnect: resubscribe to those still open,
+   * otherwise fetch their final state so they settle
+   */
+  async recoverOpenContracts() {
+    const positions = this.positions.list({ mode: 'live' });
+    if (!positions.length || !this.isAuthorized) return;
+    let open;
+    try {
+      const { portfolio } = await this.send({ portfolio: 1 });
+      open = new Set((portfolio?.contracts || []).map((contract) => contract.contract_id));
     } catch (error) {
-      this.log(`Connection error: ${error.message}`, 'error');
-      this.updateConnectionStatus('Error', false);
-      if (this.connectionRetries < this.maxRetries) {
-        this.log(`Retrying connection (${this.connectionRetries + 1}/${this.maxRetries})...`, 'info');
-        setTimeout(() => this.connect(), 5000);
-      }
+      this.log(`Could not recover open contracts: ${error.message}`, 'error');
+      return;
     }
+    await Promise.all(positions.map(async ({ id: contractId }) => {
+      if (open.has(contractId)) {
+        this.log(`Contract ${contractId} still open; resubscribing`, 'info');
+        this.subscribeToContract(contractId);
+        return;
+      }
+      try {
+        const { proposal_open_contract: contract } = await this.send({ proposal_open_contract: 1, contract_id: contractId });
+        this.log(`Contract ${contractId} closed while disconnected`, 'info');
+        this.handleContractUpdate(contract);
+        if (this.positions.get(contractId)) {
+          this.subscribeToContract(contractId);
+        }
+      } catch (error) {
+        this.log(`Could not recover contract ${contractId}: ${error.message}`, 'error');
+      }
+    }));
   }
 
   /**
    * Authenticate with Deriv API using token
+   * @param {string} [token=this.apiToken] - API token
+   * @returns {Promise<boolean>} Whether the session is authorized
    */
-  authenticate() {
-    this.sendMessage({
-      authorize: this.apiToken,
-      req_id: this.generateReqId(),
-    });
+  async authenticate(token = this.apiToken) {
+    try {
+      const { authorize } = await this.send({ authorize: token });
+      this.isAuthorized = true;
+      this.applyBalance(authorize?.balance);
+      this.log('Authentication successful', 'success');
+    } catch (error) {
+      this.isAuthorized = false;
+      this.log(`Authentication failed: ${error.message}`, 'error');
+    }
+    return this.isAuthorized;
   }
 
   /**
    * Request account balance
    */
-  requestBalance() {
-    this.sendMessage({
-      balance: 1,
-      req_id: this.generateReqId(),
-    });
+  async requestBalance() {
+    try {
+      const { balance } = await this.send({ balance: 1 });
+      this.applyBalance(balance?.balance);
+      this.updateUI();
+    } catch (error) {
+      this.log(`Balance request failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Record the account balance reported by the API; in paper mode the virtual balance stays displayed
+   * @param {number} [balance] - Balance, ignored if missing
+   */
+  applyBalance(balance) {
+    if (typeof balance !== 'number') return;
+    this.liveBalance = balance;
+    if (!this.config.paperTrading) this.balance = balance;
+  }
+
+  /**
+   * Subscribe to balance updates
+   */
+  async subscribeToBalance() {
+    this.trackSubscription('balance', () => this.subscribeToBalance());
+    try {
+      const { balance } = await this.send({ balance: 1, subscribe: 1 });
+      this.applyBalance(balance?.balance);
+      this.updateUI();
+    } catch (error) {
+      this.log(`Balance subscription failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Subscribe to updates of an open contract; updates, the first one included, go through handleMessage.
+   * Contract subscriptions are not tracked: recoverOpenContracts restores them after a reconnect.
+   * @param {number} contractId - Contract ID
+   */
+  async subscribeToContract(contractId) {
+    try {
+      await this.send({ proposal_open_contract: 1, contract_id: contractId, subscribe: 1 });
+    } catch (error) {
+      this.log(`Contract ${contractId} subscription failed: ${error.message}`, 'error');
+    }
   }
 
   /**
@@ -412,12 +800,108 @@ class AdvancedDerivBot {
    * @param {string} symbol - Market symbol
    */
   subscribeToTicks(symbol) {
+    this.trackSubscription(`ticks:${symbol}`, () => this.subscribeToTicks(symbol));
+    this.candleManager.initializeSymbol(symbol);
+    this.digitAnalytics.reset(symbol); // Rebuilt from the history and the stream that follow
+    this.firstLiveEpoch.delete(symbol);
+    this.historyEndEpoch.delete(symbol);
     this.sendMessage({
       ticks: symbol,
       subscribe: 1,
       req_id: this.generateReqId(),
     });
-    this.candleManager.initializeSymbol(symbol);
+    this.requestHistory(symbol);
+  }
+
+  /**
+   * Request recent history to warm-start candles: raw ticks for the finer timeframes and
+   * server candles for every timeframe Deriv can aggregate
+   * @param {string} symbol - Market symbol
+   */
+  requestHistory(symbol) {
+    const send = (request, details) => {
+      const reqId = this.generateReqId();
+      this.historyRequests.set(reqId, { symbol, ...details });
+      this.sendMessage({ ticks_history: symbol, end: 'latest', ...request, req_id: reqId });
+    };
+    send({ count: 5000, style: 'ticks' }, { style: 'ticks' });
+    this.candleManager.getTimeframes()
+      .filter((timeframe) => CANDLE_GRANULARITIES.includes(timeframe))
+      .forEach((granularity) => send({ count: 1000, style: 'candles', granularity }, { style: 'candles', granularity }));
+  }
+
+  /**
+   * Backfill candles from a ticks_history response in 'ticks' style
+   * @param {Object} data - Message with history { prices, times }
+   */
+  handleTickHistory(data) {
+    const request = this.historyRequests.get(data.req_id);
+    this.historyRequests.delete(data.req_id);
+    const symbol = request?.symbol || data.echo_req?.ticks_history;
+    const { prices = [], times = [] } = data.history || {};
+    if (!symbol || !prices.length) return;
+    if (data.pip_size !== undefined) {
+      this.pipSizes.set(symbol, data.pip_size);
+    }
+
+    // Ticks at or after the first streamed tick are already in the candles
+    const cutoff = this.firstLiveEpoch.get(symbol) ?? Infinity;
+    const ticks = [];
+    for (let i = 0; i < prices.length && times[i] < cutoff; i++) {
+      const prev = prices[i - 1];
+      ticks.push({
+        price: prices[i],
+        time: new Date(times[i] * 1000),
+        volume: prev === undefined ? 1 : Math.max(1, Math.round(Math.abs(prices[i] - prev) * 1000)),
+      });
+    }
+    if (!ticks.length) return;
+    if (!this.firstLiveEpoch.has(symbol)) {
+      this.historyEndEpoch.set(symbol, times[ticks.length - 1]);
+    }
+
+    const added = this.candleManager.backfillTicks(symbol, ticks);
+    this.digitAnalytics.backfill(symbol, ticks.map((tick) => tick.price), this.pipSizes.get(symbol));
+    this.log(`Backfilled ${ticks.length} historical ticks for ${symbol} (${added} ${this.candleManager.timeframe}s candles)`, 'info');
+    this.refreshAfterBackfill(symbol);
+  }
+
+  /**
+   * Backfill candles from a ticks_history response in 'candles' style
+   * @param {Object} data - Message with candles [{ epoch, open, high, low, close }]
+   */
+  handleCandleHistory(data) {
+    const request = this.historyRequests.get(data.req_id);
+    this.historyRequests.delete(data.req_id);
+    const symbol = request?.symbol || data.echo_req?.ticks_history;
+    const granularity = request?.granularity || data.echo_req?.granularity;
+    if (!symbol || !granularity || !data.candles?.length) return;
+
+    const candles = data.candles.map((candle, i) => ({
+      time: new Date(candle.epoch * 1000),
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close),
+      volume: 1,
+      closed: i < data.candles.length - 1, // The latest candle is still forming
+    }));
+    if (this.candleManager.loadCandles(symbol, granularity, candles) > 0) {
+      this.refreshAfterBackfill(symbol);
+    }
+  }
+
+  /**
+   * Rebuild indicators and the chart after candles were inserted behind the live stream
+   * @param {string} symbol - Market symbol
+   */
+  refreshAfterBackfill(symbol) {
+    this.indicatorManager.resetSymbol(symbol);
+    this.updateSymbolIndicators(symbol);
+    if (symbol === this.config.symbol) {
+      this.view.updatePriceChart?.(this.candleManager.getCandles(symbol), symbol);
+    }
+    this.updateUI();
   }
 
   /**
@@ -429,32 +913,80 @@ class AdvancedDerivBot {
   }
 
   /**
-   * Send WebSocket message
+   * Send WebSocket message. A message that cannot go out is dropped: subscriptions and their history are
+   * restored by the tracked subscriptions after a reconnect, and send() rejects for everything else.
    * @param {Object} message - Message to send
+   * @returns {boolean} Whether the message was sent
    */
   sendMessage(message) {
-    if (this.isConnected && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+    if (this.isConnected && this.connection.send(message)) {
       this.log(`Sent message: ${message.msg_type || Object.keys(message)[0]} (req_id: ${message.req_id || 'none'})`, 'debug');
-    } else {
-      this.log('Cannot send message: WebSocket not connected', 'error');
-      this.tradeQueue.push(message);
+      return true;
+    }
+    this.log(`Cannot send ${Object.keys(message)[0]} message: WebSocket not connected`, 'warning');
+    return false;
+  }
+
+  /**
+   * Send a request and wait for the response carrying its req_id
+   * @param {Object} request - API request; a req_id is assigned if missing
+   * @param {Object} [options] - { timeout } in milliseconds
+   * @returns {Promise<Object>} Response message
+   * @throws {DerivApiError} When the API answers with an error
+   * @throws {RequestTimeoutError} When no response arrives in time
+   * @throws {ConnectionError} When the socket is closed
+   */
+  send(request, { timeout = REQUEST_TIMEOUT } = {}) {
+    const message = { ...request, req_id: request.req_id ?? this.generateReqId() };
+    if (!this.isConnected || !this.connection.isOpen) {
+      return Promise.reject(new ConnectionError('WebSocket not connected', message));
     }
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(message.req_id);
+        reject(new RequestTimeoutError(message, timeout));
+      }, timeout);
+      this.pendingRequests.set(message.req_id, { request: message, resolve, reject, timer });
+      // The caller hears about a failed send, so the request is never replayed behind its back
+      if (!this.sendMessage(message)) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(message.req_id);
+        reject(new ConnectionError('WebSocket not connected', message));
+      }
+    });
   }
 
   /**
-   * Process queued WebSocket messages
+   * Settle the pending send() for a response
+   * @param {Object} data - Message data from API
+   * @returns {boolean} Whether the message was consumed by its caller
    */
-  processQueue() {
-    if (this.isProcessingQueue || !this.isConnected || this.ws.readyState !== WebSocket.OPEN) return;
-    this.isProcessingQueue = true;
+  resolvePendingRequest(data) {
+    const pending = this.pendingRequests.get(data.req_id);
+    if (!pending) return false;
 
-    while (this.tradeQueue.length > 0) {
-      const message = this.tradeQueue.shift();
-      this.sendMessage(message);
+    this.pendingRequests.delete(data.req_id);
+    clearTimeout(pending.timer);
+    if (data.error) {
+      pending.reject(new DerivApiError(data.error, pending.request));
+      return true;
     }
+    pending.resolve(data);
+    // Later updates of a subscription keep flowing through handleMessage
+    return !pending.request.subscribe;
+  }
 
-    this.isProcessingQueue = false;
+  /**
+   * Reject every request still waiting for a response
+   * @param {Error} error - Reason
+   */
+  rejectPendingRequests(error) {
+    this.pendingRequests.forEach(({ request, reject, timer }) => {
+      clearTimeout(timer);
+      reject(new ConnectionError(error.message, request));
+    });
+    this.pendingRequests.clear();
   }
 
   /**
@@ -462,35 +994,29 @@ class AdvancedDerivBot {
    * @param {Object} data - Message data from API
    */
   handleMessage(data) {
+    if (this.resolvePendingRequest(data)) return;
+
     if (data.error) {
       const errorMsg = `API Error: ${data.error.message} (code: ${data.error.code}, req_id: ${data.req_id || 'unknown'})`;
       this.log(errorMsg, 'error');
-      if (data.error.code === 'InvalidStake') {
-        this.adjustStakeForRetry();
-      } else if (data.error.code === 'RateLimit') {
-        this.log('Rate limit hit; retrying after delay', 'warning');
-        setTimeout(() => this.processQueue(), 1000);
-      }
       return;
     }
 
     switch (data.msg_type) {
-      case 'authorize':
-        this.log('Authentication successful', 'success');
-        this.requestBalance();
-        break;
       case 'balance':
-        this.balance = data.balance?.balance ?? this.balance;
+        this.applyBalance(data.balance?.balance);
         this.updateUI();
         break;
+      case 'ping':
+        break; // Heartbeat
       case 'tick':
         this.processTick(data.tick);
         break;
-      case 'proposal':
-        this.handleProposal(data.proposal);
+      case 'history':
+        this.handleTickHistory(data);
         break;
-      case 'buy':
-        this.handleBuy(data.buy);
+      case 'candles':
+        this.handleCandleHistory(data);
         break;
       case 'proposal_open_contract':
         this.handleContractUpdate(data.proposal_open_contract);
@@ -501,12 +1027,17 @@ class AdvancedDerivBot {
   }
 
   /**
-   * Adjust stake and retry if API rejects due to invalid stake
+   * Retry an order the API rejected for its stake once, with a lower stake
+   * @param {Object} order - Rejected order { tradeType, symbol, stake, barrier, signal }
    */
-  adjustStakeForRetry() {
-    this.currentStake = parseFloat(Math.max(0.60, this.currentStake - 0.1).toFixed(1));
-    this.log(`Retrying with adjusted stake: $${this.currentStake}`, 'warning');
-    this.executeTrade(this.config.tradeType, this.config.symbol);
+  adjustStakeForRetry(order) {
+    const retryStake = parseFloat(Math.max(0.60, order.stake - 0.1).toFixed(1));
+    if (order.signal.retried || retryStake >= order.stake) {
+      this.log(`Stake $${order.stake} rejected again; dropping ${this.describeOrder(order)}`, 'warning');
+      return;
+    }
+    this.log(`Retrying ${this.describeOrder(order)} with adjusted stake: $${retryStake}`, 'warning');
+    setTimeout(() => this.executeTrade(order.tradeType, order.symbol, order.barrier, { ...order.signal, retried: true, retryStake }), RETRY_DELAY);
   }
 
   /**
@@ -519,45 +1050,53 @@ class AdvancedDerivBot {
         this.log('Invalid tick: missing symbol', 'error');
         return;
       }
-      this.currentPrice = tick.quote;
+      if (tick.epoch <= (this.historyEndEpoch.get(tick.symbol) ?? -Infinity)) {
+        this.log(`Skipping streamed tick ${tick.epoch} for ${tick.symbol}: already backfilled`, 'debug');
+        return;
+      }
+      if (!this.firstLiveEpoch.has(tick.symbol)) {
+        this.firstLiveEpoch.set(tick.symbol, tick.epoch);
+      }
+      if (tick.symbol === this.config.symbol) {
+        this.currentPrice = tick.quote;
+      }
+      if (tick.pip_size !== undefined) {
+        this.pipSizes.set(tick.symbol, tick.pip_size);
+      }
+      this.digitAnalytics.addTick(tick.symbol, tick.quote, this.pipSizes.get(tick.symbol));
+      const volume = tick.volume || this.estimateVolume(tick.quote, tick.symbol);
       const tickData = {
         symbol: tick.symbol,
-        price: this.currentPrice,
-        volume: tick.volume || this.estimateVolume(this.currentPrice),
+        price: tick.quote,
+        volume,
         timestamp: new Date(tick.epoch * 1000).toISOString(),
       };
       saveData('ticks', tickData);
 
       this.candleManager.addTick(tick.symbol, {
-        price: this.currentPrice,
+        price: tick.quote,
         time: new Date(tick.epoch * 1000),
-        volume: tick.volume || this.estimateVolume(this.currentPrice),
+        volume,
       });
 
       const candles = this.candleManager.getCandles(tick.symbol);
       if (candles.length > 0) {
-        const latestCandle = candles[candles.length - 1];
-        const candleData = {
-          symbol: tick.symbol,
-          open: latestCandle.open,
-          high: latestCandle.high,
-          low: latestCandle.low,
-          close: latestCandle.close,
-          volume: latestCandle.volume,
-          timestamp: new Date(latestCandle.time).toISOString(),
-          timeframe: this.config.candleTimeframe,
-        };
-        saveData('candles', candleData);
-
-        this.indicatorManager.updateIndicators(candles);
+        this.updateSymbolIndicators(tick.symbol);
         const candleMap = new Map(this.config.symbols.map((s) => [s, this.candleManager.getCandles(s)]));
         this.indicatorManager.updateCorrelations(candleMap);
-        window.updatePriceChart?.(candles, tick.symbol);
+        if (tick.symbol === this.config.symbol) {
+          this.view.updatePriceChart?.(candles, tick.symbol);
+        }
       } else {
         this.log(`No candles available for ${tick.symbol}`, 'warning');
       }
 
-      if (tick.symbol === this.config.symbol && this.isTrading && !this.activeContract && !this.isPaused) {
+      if (this.paperLedger.hasOpenPositions) {
+        this.paperLedger.processTick(tick.symbol, { epoch: tick.epoch, quote: tick.quote })
+          .forEach((update) => this.handleContractUpdate(update));
+      }
+
+      if (this.config.symbols.includes(tick.symbol) && this.isTrading && !this.isPaused) {
         this.evaluateTradeSignal(tick.symbol);
       }
 
@@ -567,13 +1106,96 @@ class AdvancedDerivBot {
     }
   }
 
+  /**
+   * Persist a closed candle, replacing any stored record for the same symbol, timeframe and time
+   * @param {string} symbol - Market symbol
+   * @param {number} timeframe - Candle timeframe in seconds
+   * @param {Object} candle - Closed candle
+   */
+  persistCandle(symbol, timeframe, candle) {
+    const timestamp = new Date(candle.time).toISOString();
+    upsertData('candles', `${symbol}|${timeframe}|${timestamp}`, {
+      symbol,
+      timeframe,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      volume: candle.volume,
+      timestamp,
+      closed: true,
+    });
+  }
+
+  /**
+   * Reload stored candles into the CandleManager and rebuild indicators from them
+   */
+  restoreCandles() {
+    const groups = new Map();
+    (loadData('candles') || []).forEach((candle) => {
+      if (!candle.symbol || !candle.timeframe) return;
+      const key = `${candle.symbol}|${candle.timeframe}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(candle);
+    });
+
+    const restored = new Set();
+    groups.forEach((candles, key) => {
+      const [symbol, timeframe] = key.split('|');
+      if (this.candleManager.loadCandles(symbol, Number(timeframe), candles) > 0) {
+        restored.add(symbol);
+      }
+    });
+    restored.forEach((symbol) => {
+      this.indicatorManager.resetSymbol(symbol);
+      this.updateSymbolIndicators(symbol);
+    });
+    if (restored.size) {
+      this.log(`Restored stored candles for ${Array.from(restored).join(', ')}`, 'info');
+    }
+  }
+
+  /**
+   * Update indicator state for every aggregated timeframe of a symbol
+   * @param {string} symbol - Market symbol
+   */
+  updateSymbolIndicators(symbol) {
+    const timeframes = this.config.useMultiTimeframe ? this.candleManager.getTimeframes() : [this.candleManager.timeframe];
+    timeframes.forEach((timeframe) => {
+      const candles = this.candleManager.getCandles(symbol, timeframe);
+      if (candles.length >= 14) {
+        this.indicatorManager.updateIndicators(candles, symbol, timeframe);
+      }
+    });
+  }
+
+  /**
+   * Get current indicators for a symbol on the primary timeframe
+   * @param {string} [symbol=this.config.symbol] - Market symbol
+   * @returns {Object} Indicator values
+   */
+  getIndicators(symbol = this.config.symbol) {
+    return this.indicatorManager.getIndicators(symbol, this.candleManager.timeframe);
+  }
+
+  /**
+   * Get the latest traded price of a symbol
+   * @param {string} [symbol=this.config.symbol] - Market symbol
+   * @returns {number} Last candle close, or 0 if no data yet
+   */
+  getLatestPrice(symbol = this.config.symbol) {
+    const candles = this.candleManager.getCandles(symbol);
+    return candles.length ? candles[candles.length - 1].close : 0;
+  }
+
   /**
    * Estimate volume when Deriv API doesn't provide it
    * @param {number} currentPrice - Current price
+   * @param {string} [symbol=this.config.symbol] - Market symbol the price belongs to
    * @returns {number} Estimated volume
    */
-  estimateVolume(currentPrice) {
-    const prices = this.candleManager.getCandles(this.config.symbol).map((c) => c.close);
+  estimateVolume(currentPrice, symbol = this.config.symbol) {
+    const prices = this.candleManager.getCandles(symbol).map((c) => c.close);
     if (prices.length < 2) return 1;
     const priceChange = Math.abs(currentPrice - prices[prices.length - 2]);
     return Math.max(1, Math.round(priceChange * 1000));
@@ -590,7 +1212,7 @@ class AdvancedDerivBot {
 
     const signal = this.getTradeSignal(symbol);
     if (signal.shouldTrade) {
-      this.executeTrade(signal.tradeType, symbol);
+      this.executeTrade(signal.tradeType, symbol, signal.barrier, signal);
     }
   }
 
@@ -607,33 +1229,43 @@ class AdvancedDerivBot {
     const signal = (() => {
       switch (this.config.strategy) {
         case 'martingale':
-          return this.getMartingaleSignal();
+          return this.getMartingaleSignal(symbol);
         case 'dalembert':
-          return this.getDalembertSignal();
+          return this.getDalembertSignal(symbol);
         case 'trend-follow':
-          return this.getTrendFollowSignal();
+          return this.getTrendFollowSignal(symbol);
         case 'mean-reversion':
-          return this.getMeanReversionSignal();
+          return this.getMeanReversionSignal(symbol);
         case 'rsi-strategy':
-          return this.getRSISignal();
+          return this.getRSISignal(symbol);
         case 'grid':
           return this.getGridSignal(symbol);
         case 'arbitrage':
           return this.getArbitrageSignal();
         case 'ml-based':
-          return this.getMLBasedSignal();
+          return this.getMLBasedSignal(symbol);
         case 'custom':
-          return this.getCustomSignal();
+          return this.getCustomSignal(symbol);
+        case 'digit-differs':
+          return this.getDigitDiffersSignal(symbol);
+        case 'digit-even-odd':
+          return this.getDigitEvenOddSignal(symbol);
+        case 'digit-over-under':
+          return this.getDigitOverUnderSignal(symbol);
         default:
           return { shouldTrade: false, tradeType: 'CALL' };
       }
     })();
+    signal.strategy = this.config.strategy;
 
-    if (signal.shouldTrade && this.config.useCandlePatterns) {
+    // Candle patterns say nothing about last digits, so only directional signals need confirming
+    const direction = contractDirection(signal.tradeType, signal.barrier);
+    if (signal.shouldTrade && this.config.useCandlePatterns && direction !== 0) {
       const pattern = this.candleManager.detectPattern(symbol);
-      signal.shouldTrade = this.confirmSignalWithPattern(signal.tradeType, pattern);
+      signal.shouldTrade = this.confirmSignalWithPattern(direction, pattern);
       if (signal.shouldTrade) {
         this.log(`Trade confirmed with pattern: ${pattern || 'None'}`, 'info');
+        signal.reason = `${signal.reason || signal.strategy}; confirmed by ${pattern}`;
       } else {
         this.log(`Trade skipped: No confirming candle pattern for ${signal.tradeType}`, 'warning');
       }
@@ -644,73 +1276,97 @@ class AdvancedDerivBot {
 
   /**
    * Confirm trade signal with candle patterns
-   * @param {string} tradeType - Trade type (CALL/PUT)
+   * @param {number} direction - Price direction the signal trades (+1 up, -1 down)
    * @param {string} pattern - Detected candle pattern
    * @returns {boolean} Whether signal is confirmed
    */
-  confirmSignalWithPattern(tradeType, pattern) {
+  confirmSignalWithPattern(direction, pattern) {
     if (!pattern) return false;
     return (
-      (tradeType === 'CALL' && ['BullishEngulfing', 'Hammer', 'MorningStar'].includes(pattern)) ||
-      (tradeType === 'PUT' && ['BearishEngulfing', 'ShootingStar'].includes(pattern)) ||
+      (direction > 0 && ['BullishEngulfing', 'Hammer', 'MorningStar'].includes(pattern)) ||
+      (direction < 0 && ['BearishEngulfing', 'ShootingStar'].includes(pattern)) ||
       pattern === 'Doji'
     );
   }
 
   /**
    * Get Martingale strategy signal
+   * @param {string} symbol - Market symbol
    * @returns {Object} Trading signal
    */
-  getMartingaleSignal() {
-    return this.getRSISignal();
+  getMartingaleSignal(symbol) {
+    return this.getRSISignal(symbol);
   }
 
   /**
    * Get D'Alembert strategy signal
+   * @param {string} symbol - Market symbol
    * @returns {Object} Trading signal
    */
-  getDalembertSignal() {
-    return this.getRSISignal();
+  getDalembertSignal(symbol) {
+    return this.getRSISignal(symbol);
   }
 
   /**
    * Get Trend Following strategy signal
+   * @param {string} symbol - Market symbol
    * @returns {Object} Trading signal
    */
-  getTrendFollowSignal() {
-    const indicators = this.indicatorManager.getIndicators();
-    const candles = this.candleManager.getCandles(this.config.symbol);
+  getTrendFollowSignal(symbol) {
+    const indicators = this.getIndicators(symbol);
+    const candles = this.candleManager.getCandles(symbol);
     if (candles.length < 10) {
       this.log(`Insufficient candles for trend-follow: ${candles.length}`, 'warning');
       return { shouldTrade: false };
     }
 
-    const shortMA = this.config.useMultiTimeframe ? this.indicatorManager.calculateMA(candles, 5) : indicators.movingAverage;
+    const closes = candles.map((c) => c.close);
+    const shortMA = this.config.useMultiTimeframe ? this.indicatorManager.calculateMA(closes, 5) : indicators.movingAverage;
+    const tradeType = this.getLatestPrice(symbol) > shortMA ? 'CALL' : 'PUT';
+
+    if (this.config.useMultiTimeframe) {
+      const higherTimeframe = this.candleManager.getHigherTimeframe();
+      if (!higherTimeframe) {
+        this.log('Trend-follow: no higher timeframe configured for confirmation', 'warning');
+        return { shouldTrade: false };
+      }
+      const higherTrend = this.detectMarketTrend(symbol, higherTimeframe);
+      const expectedTrend = tradeType === 'CALL' ? 'uptrend' : 'downtrend';
+      if (higherTrend !== expectedTrend) {
+        this.log(`Trend-follow: ${tradeType} on ${this.candleManager.timeframe}s not confirmed by ${higherTimeframe}s ${higherTrend}`, 'debug');
+        return { shouldTrade: false };
+      }
+    }
+
     return {
       shouldTrade: indicators.adx > 20,
-      tradeType: this.currentPrice > shortMA ? 'CALL' : 'PUT',
+      tradeType,
+      reason: `price ${tradeType === 'CALL' ? 'above' : 'below'} MA ${shortMA.toFixed(5)}, ADX ${indicators.adx.toFixed(1)}`,
     };
   }
 
   /**
    * Get Mean Reversion strategy signal
+   * @param {string} symbol - Market symbol
    * @returns {Object} Trading signal
    */
-  getMeanReversionSignal() {
-    const indicators = this.indicatorManager.getIndicators();
-    const candles = this.candleManager.getCandles(this.config.symbol);
+  getMeanReversionSignal(symbol) {
+    const indicators = this.getIndicators(symbol);
+    const candles = this.candleManager.getCandles(symbol);
     if (candles.length < 20) {
       this.log(`Insufficient candles for mean-reversion: ${candles.length}`, 'warning');
       return { shouldTrade: false };
     }
 
-    const longMA = this.config.useMultiTimeframe ? this.indicatorManager.calculateMA(candles, 20) : indicators.movingAverage;
-    const deviation = Math.abs(this.currentPrice - longMA) / longMA * 100;
+    const longMA = this.config.useMultiTimeframe ? this.indicatorManager.calculateMA(candles.map((c) => c.close), 20) : indicators.movingAverage;
+    const price = this.getLatestPrice(symbol);
+    const deviation = Math.abs(price - longMA) / longMA * 100;
 
     if (deviation > indicators.volatility * 1.5 && indicators.adx < 20) {
       return {
         shouldTrade: true,
-        tradeType: this.currentPrice > longMA ? 'PUT' : 'CALL',
+        tradeType: price > longMA ? 'PUT' : 'CALL',
+        reason: `price ${deviation.toFixed(2)}% ${price > longMA ? 'above' : 'below'} MA ${longMA.toFixed(5)}, ADX ${indicators.adx.toFixed(1)}`,
       };
     }
     return { shouldTrade: false };
@@ -718,10 +1374,11 @@ class AdvancedDerivBot {
 
   /**
    * Get RSI strategy signal
+   * @param {string} symbol - Market symbol
    * @returns {Object} Trading signal
    */
-  getRSISignal() {
-    const indicators = this.indicatorManager.getIndicators();
+  getRSISignal(symbol) {
+    const indicators = this.getIndicators(symbol);
     if (indicators.rsi === 0) {
       this.log('RSI not calculated; skipping signal', 'warning');
       return { shouldTrade: false };
@@ -730,6 +1387,7 @@ class AdvancedDerivBot {
     return {
       shouldTrade: (indicators.rsi > 70 || indicators.rsi < 30),
       tradeType: indicators.rsi > 70 ? 'PUT' : 'CALL',
+      reason: `RSI ${indicators.rsi.toFixed(1)} ${indicators.rsi > 70 ? 'overbought' : 'oversold'}`,
     };
   }
 
@@ -739,7 +1397,7 @@ class AdvancedDerivBot {
    * @returns {Object} Trading signal
    */
   getGridSignal(symbol) {
-    const indicators = this.indicatorManager.getIndicators();
+    const indicators = this.getIndicators(symbol);
     const candles = this.candleManager.getCandles(symbol);
     if (candles.length < 20) {
       this.log(`Insufficient candles for grid signal: ${candles.length}`, 'warning');
@@ -748,12 +1406,13 @@ class AdvancedDerivBot {
 
     const gridSize = indicators.volatility * 0.01;
     const middlePrice = indicators.bollingerBands.middle;
-    const gridLevel = Math.round((this.currentPrice - middlePrice) / gridSize);
+    const gridLevel = Math.round((this.getLatestPrice(symbol) - middlePrice) / gridSize);
     if (Math.abs(gridLevel) > 5) return { shouldTrade: false };
 
     return {
       shouldTrade: indicators.volatility < 2,
       tradeType: gridLevel > 0 ? 'PUT' : 'CALL',
+      reason: `grid level ${gridLevel} from the Bollinger middle, volatility ${indicators.volatility.toFixed(2)}`,
     };
   }
 
@@ -786,6 +1445,7 @@ class AdvancedDerivBot {
         shouldTrade: true,
         tradeType: price1 > price2 ? 'PUT' : 'CALL',
         symbol: price1 > price2 ? symbol1 : symbol2,
+        reason: `${(spread * 100).toFixed(2)}% spread between ${symbol1} and ${symbol2}`,
       };
     }
     return { shouldTrade: false };
@@ -793,34 +1453,51 @@ class AdvancedDerivBot {
 
   /**
    * Get Machine Learning-based strategy signal
+   * @param {string} symbol - Market symbol
    * @returns {Object} Trading signal
    */
-  getMLBasedSignal() {
-    if (this.historicalData.length < 20) {
-      this.log('Insufficient historical data for ML prediction', 'warning');
-      return { shouldTrade: false, tradeType: 'CALL' };
+  getMLBasedSignal(symbol) {
+    const indicators = this.getIndicators(symbol);
+    const marketConditions = this.getMarketConditions(symbol);
+
+    if (!this.mlModel.isTrained()) {
+      if (this.historicalData.length < 20) {
+        this.log('Insufficient historical data for ML prediction', 'warning');
+        return { shouldTrade: false, tradeType: 'CALL' };
+      }
+      const ruleSignal = predictTrade(indicators, marketConditions);
+      this.log(`ML model not trained; using rule score: ${ruleSignal.reason}`, 'warning');
+      return {
+        shouldTrade: ruleSignal.shouldTrade,
+        tradeType: ruleSignal.tradeType || 'CALL',
+        confidence: ruleSignal.confidence,
+        reason: `rule score: ${ruleSignal.reason}`,
+      };
     }
 
-    const indicators = this.indicatorManager.getIndicators();
-    const marketConditions = {
-      trend: this.detectMarketTrend(),
-      volatilitySpike: this.detectVolatilitySpike(),
-      candlePattern: this.candleManager.detectPattern(this.config.symbol),
-      newsEvent: this.checkMarketConditions(),
-    };
+    if (marketConditions.newsEvent) {
+      this.log('ML prediction skipped during news event', 'warning');
+      return { shouldTrade: false, tradeType: 'CALL', confidence: 0 };
+    }
 
     try {
-      const mlSignal = predictTrade(indicators, marketConditions);
-      window.updateMLFeatureChart?.({
-        rsi: mlSignal.features?.rsi || 0,
-        macd: mlSignal.features?.macd || 0,
-        volatility: mlSignal.features?.volatility || 0,
-      });
-      this.log(`ML Prediction: ${mlSignal.reason} (Confidence: ${(mlSignal.confidence * 100).toFixed(1)}%)`, 'info');
+      const snapshot = this.snapshotIndicators(symbol);
+      const callProbability = this.mlModel.predict(extractFeatures({ indicators: snapshot, marketConditions, contractType: 'CALL' }));
+      const putProbability = this.mlModel.predict(extractFeatures({ indicators: snapshot, marketConditions, contractType: 'PUT' }));
+      const tradeType = callProbability >= putProbability ? 'CALL' : 'PUT';
+      const confidence = Math.max(callProbability, putProbability);
+      this.mlConfidences.push(confidence);
+      if (this.mlConfidences.length > 100) {
+        this.mlConfidences.shift();
+      }
+
+      this.view.updateMLFeatureChart?.(this.mlModel.featureImportance(), confidence);
+      this.log(`ML Prediction: CALL ${(callProbability * 100).toFixed(1)}%, PUT ${(putProbability * 100).toFixed(1)}%`, 'info');
       return {
-        shouldTrade: mlSignal.shouldTrade,
-        tradeType: mlSignal.tradeType || 'CALL',
-        confidence: mlSignal.confidence,
+        shouldTrade: confidence >= this.config.mlMinConfidence,
+        tradeType,
+        confidence,
+        reason: `model ${tradeType} probability ${(confidence * 100).toFixed(1)}%`,
       };
     } catch (error) {
       this.log(`ML prediction error: ${error.message}`, 'error');
@@ -829,53 +1506,314 @@ class AdvancedDerivBot {
   }
 
   /**
-   * Get Custom strategy signal based on user-defined rules
-   * @returns {Object} Trading signal
+   * Get market conditions used as model and record context
+   * @param {string} [symbol=this.config.symbol] - Market symbol
+   * @returns {Object} Conditions { trend, volatilitySpike, candlePattern, newsEvent }
    */
-  getCustomSignal() {
-    if (!this.config.customStrategyRules.length) {
-      this.log('No custom strategy rules defined', 'warning');
-      return { shouldTrade: false };
-    }
-
-    const indicators = this.indicatorManager.getIndicators();
-    const conditionsMet = this.config.customStrategyRules.every((rule) => {
-      switch (rule.indicator) {
-        case 'rsi':
-          return rule.operator === '>' ? indicators.rsi > rule.value : indicators.rsi < rule.value;
-        case 'macd':
-          return rule.operator === '>' ? indicators.macd.histogram > rule.value : indicators.macd.histogram < rule.value;
-        case 'stochastic':
-          return rule.operator === '>' ? indicators.stochastic.k > rule.value : indicators.stochastic.k < rule.value;
-        case 'bollinger':
-          return rule.operator === '>' ? this.currentPrice > indicators.bollingerBands.upper :
-                 rule.operator === '<' ? this.currentPrice < indicators.bollingerBands.lower : false;
-        case 'adx':
-          return rule.operator === '>' ? indicators.adx > rule.value : indicators.adx < rule.value;
-        default:
-          return false;
-      }
-    });
-
+  getMarketConditions(symbol = this.config.symbol) {
     return {
-      shouldTrade: conditionsMet,
-      tradeType: conditionsMet ? (indicators.macd.histogram > 0 ? 'CALL' : 'PUT') : 'CALL',
+      trend: this.detectMarketTrend(symbol),
+      volatilitySpike: this.detectVolatilitySpike(symbol),
+      candlePattern: this.candleManager.detectPattern(symbol),
+      newsEvent: this.checkMarketConditions(),
     };
   }
 
   /**
-   * Adjust stake size based on position sizing strategy
+   * Snapshot the indicators stored with a trade record
+   * @param {string} [symbol=this.config.symbol] - Market symbol
+   * @returns {Object} Flat indicator values { rsi, macd, volatility, movingAverage, bollingerPosition, adx, sentiment, stochastic }
    */
-  adjustStakeBasedOnStrategy() {
+  snapshotIndicators(symbol = this.config.symbol) {
+    const indicators = this.getIndicators(symbol);
+    const price = this.getLatestPrice(symbol);
+    return {
+      rsi: indicators.rsi,
+      macd: indicators.macd.histogram,
+      volatility: indicators.volatility,
+      movingAverage: indicators.movingAverage,
+      bollingerPosition: price > indicators.bollingerBands.upper ? 'above' :
+                        price < indicators.bollingerBands.lower ? 'below' : 'middle',
+      adx: indicators.adx,
+      sentiment: indicators.sentiment,
+      stochastic: indicators.stochastic.k,
+    };
+  }
+
+  /**
+   * Train the ML model on stored live trades in the training worker, persist it and re-run walk-forward evaluation
+   * @returns {Promise<Object|null>} Validation metrics, or null if training failed or was already running
+   */
+  async trainModel() {
+    if (this.modelJobs.train) {
+      this.log('ML training is already running', 'debug');
+      return null;
+    }
+    this.tradesSinceTraining = 0;
+    const dataset = buildDataset(this.loadLiveTrades());
+    this.modelJobs.train = this.modelWorker.run('train', dataset, { featureNames: FEATURE_NAMES });
+    try {
+      this.mlModel = TradeModel.fromJSON(await this.modelJobs.train);
+      const { metrics } = this.mlModel;
+      saveData('ml_models', this.mlModel.toJSON());
+      this.log(`ML model trained on ${metrics.samples} trades: accuracy ${(metrics.accuracy * 100).toFixed(1)}%, AUC ${metrics.auc === null ? 'n/a' : metrics.auc.toFixed(3)}`, 'success');
+      this.updateMLInsights();
+      this.evaluateModel(dataset);
+      return metrics;
+    } catch (error) {
+      this.log(`ML training failed: ${error.message}`, 'warning');
+      return null;
+    } finally {
+      this.modelJobs.train = null;
+    }
+  }
+
+  /**
+   * Run walk-forward evaluation over stored trades in the training worker and use its out-of-sample win rate
+   * as the backtest win rate
+   * @param {Object} [dataset] - Dataset from buildDataset; built from the stored live trades if omitted
+   * @returns {Promise<Object|null>} Walk-forward report, or null if evaluation failed or was already running
+   */
+  async evaluateModel(dataset = buildDataset(this.loadLiveTrades())) {
+    if (this.modelJobs.evaluate) {
+      this.log('Walk-forward evaluation is already running', 'debug');
+      return null;
+    }
+    this.modelJobs.evaluate = this.modelWorker.run('walk-forward', dataset, { featureNames: FEATURE_NAMES, threshold: this.config.mlMinConfidence });
+    try {
+      const report = await this.modelJobs.evaluate;
+      this.walkForwardReport = report;
+      this.backtestWinRate = report.winRate;
+      saveData('ml_walkforward', report);
+      this.log(`Walk-forward: ${report.windows} windows, ${report.predictions} out-of-sample trades, win rate ${report.winRate.toFixed(1)}% (base ${report.baseWinRate.toFixed(1)}%)`, 'info');
+      this.view.updateWalkForwardResults?.(report);
+      return report;
+    } catch (error) {
+      this.log(`Walk-forward evaluation failed: ${error.message}`, 'warning');
+      return null;
+    } finally {
+      this.modelJobs.evaluate = null;
+    }
+  }
+
+  /**
+   * Restore the most recently trained ML model and walk-forward report from storage
+   */
+  loadModel() {
+    const [report] = loadData('ml_walkforward', 1) || [];
+    if (report) {
+      this.walkForwardReport = report;
+      this.backtestWinRate = report.winRate;
+      this.view.updateWalkForwardResults?.(report);
+    }
+    const [stored] = loadData('ml_models', 1) || [];
+    if (!stored) return;
+    try {
+      this.mlModel = TradeModel.fromJSON(stored);
+      this.log(`Loaded ML model trained ${stored.metrics?.trainedAt || 'earlier'}`, 'info');
+      this.updateMLInsights();
+    } catch (error) {
+      this.log(`Error loading ML model: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Push ML model metrics and feature importance to the UI
+   */
+  updateMLInsights() {
+    if (!this.mlModel.isTrained()) return;
+    this.view.updateMLModelStats?.(this.mlModel.metrics);
+    this.view.updateMLFeatureChart?.(this.mlModel.featureImportance());
+  }
+
+  /**
+   * Get Custom strategy signal from the first user-defined rule whose condition holds (see rules.js)
+   * @param {string} symbol - Market symbol
+   * @returns {Object} Trading signal, carrying the matched rule for its stake and duration
+   */
+  getCustomSignal(symbol) {
+    if (!this.config.customStrategyRules.length) {
+      this.log('No custom strategy rules defined', 'warning');
+      return { shouldTrade: false };
+    }
+
+    const rule = matchRule(this.config.customStrategyRules, this.getRuleContext(symbol));
+    if (!rule) return { shouldTrade: false, tradeType: 'CALL' };
+
+    return {
+      shouldTrade: true,
+      tradeType: rule.action,
+      rule,
+      reason: `rule '${rule.name}': ${describeCondition(rule.when)}`,
+    };
+  }
+
+  /**
+   * Market state custom rules are evaluated against
+   * @param {string} symbol - Market symbol
+   * @returns {Object} Context { current, previous, pattern, time } for rules.js
+   */
+  getRuleContext(symbol) {
+    // The forming candle's point and, for crossovers, the last closed candle's
+    const history = this.indicatorManager.getHistory(symbol, this.candleManager.timeframe, 2);
+    return {
+      current: history[history.length - 1] ?? null,
+      previous: history.length > 1 ? history[0] : null,
+      pattern: this.candleManager.detectPattern(symbol),
+      time: this.replayTime ?? new Date(),
+    };
+  }
+
+  /**
+   * Names the strategy builder offers in its dropdowns
+   * @returns {Object} { operands, operators, actions, patterns }
+   */
+  getRuleVocabulary() {
+    return {
+      operands: Object.keys(RULE_OPERANDS),
+      operators: RULE_OPERATORS,
+      actions: RULE_ACTIONS,
+      patterns: CANDLE_PATTERNS,
+    };
+  }
+
+  /**
+   * Validate a rule set without applying it
+   * @param {string|Array<Object>} rules - JSON text or rules
+   * @returns {Object} { rules, errors }: the parsed rules and no errors, or null and every problem found
+   */
+  checkRules(rules) {
+    try {
+      return { rules: parseRules(rules), errors: [] };
+    } catch (error) {
+      if (!(error instanceof RuleValidationError)) throw error;
+      return { rules: null, errors: error.errors };
+    }
+  }
+
+  /**
+   * Evaluate a rule set against the latest market data and report which of its conditions hold
+   * @param {Array<Object>} rules - Rules from checkRules
+   * @param {string} [symbol=this.config.symbol] - Market symbol
+   * @returns {Array<Object>} One explanation per rule, from explainCondition, and which rule would trade
+   */
+  explainRules(rules, symbol = this.config.symbol) {
+    const context = this.getRuleContext(symbol);
+    const match = matchRule(rules, context);
+    return rules.map((rule) => ({ ...explainCondition(rule.when, context), matched: rule === match }));
+  }
+
+  /**
+   * Save a rule set under a name, replacing any saved with the same name
+   * @param {string} name - Strategy name
+   * @param {Array<Object>} rules - Rules
+   * @returns {boolean} Whether the rules were valid and saved
+   */
+  saveCustomStrategy(name, rules) {
+    const trimmed = name?.trim();
+    if (!trimmed) {
+      this.log('Error: A custom strategy needs a name to be saved', 'error');
+      return false;
+    }
+    const { rules: parsed, errors } = this.checkRules(rules);
+    if (!parsed) {
+      this.log(`Error: Custom strategy '${trimmed}' not saved: ${errors.join('; ')}`, 'error');
+      return false;
+    }
+    upsertData('custom_strategies', trimmed, { name: trimmed, rules: parsed, savedAt: new Date().toISOString() });
+    this.log(`Saved custom strategy '${trimmed}' (${parsed.length} rule(s))`, 'info');
+    return true;
+  }
+
+  /**
+   * Saved custom strategies
+   * @returns {Array<Object>} Strategies { name, rules, savedAt }, by name
+   */
+  loadCustomStrategies() {
+    return (loadData('custom_strategies') || []).slice().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Digit statistics of a symbol over the configured window, once the window is full
+   * @param {string} symbol - Market symbol
+   * @returns {Object|null} Stats from DigitAnalytics.getStats, or null while the window is filling
+   */
+  getDigitStats(symbol) {
+    const stats = this.digitAnalytics.getStats(symbol, { window: this.config.digitWindow, barrier: this.config.digitBarrier });
+    if (stats.sampleSize < stats.window) {
+      this.log(`Insufficient digit history for ${symbol}: ${stats.sampleSize}/${stats.window} ticks`, 'debug');
+      return null;
+    }
+    return stats;
+  }
+
+  /**
+   * Get Digit Differs strategy signal: bet that the next last digit differs from the window's most frequent digit
+   * @param {string} symbol - Market symbol
+   * @returns {Object} Trading signal
+   */
+  getDigitDiffersSignal(symbol) {
+    const stats = this.getDigitStats(symbol);
+    if (!stats) return { shouldTrade: false };
+    const frequency = stats.frequencies[stats.mostFrequent];
+    return {
+      shouldTrade: frequency >= DIGIT_HOT_FREQUENCY,
+      tradeType: 'DIGITDIFF',
+      barrier: stats.mostFrequent,
+      reason: `digit ${stats.mostFrequent} at ${(frequency * 100).toFixed(1)}% of the last ${stats.window} ticks`,
+    };
+  }
+
+  /**
+   * Get Digit Even/Odd strategy signal: bet on the other parity after a run of even or odd last digits
+   * @param {string} symbol - Market symbol
+   * @returns {Object} Trading signal
+   */
+  getDigitEvenOddSignal(symbol) {
+    const stats = this.getDigitStats(symbol);
+    if (!stats) return { shouldTrade: false };
+    const { side, length } = stats.evenOddStreak;
+    return {
+      shouldTrade: length >= this.config.digitStreak,
+      tradeType: side === 'even' ? 'DIGITODD' : 'DIGITEVEN',
+      reason: `${length} ${side} digits in a row, ${(stats.evenRatio * 100).toFixed(1)}% even over ${stats.window} ticks`,
+    };
+  }
+
+  /**
+   * Get Digit Over/Under strategy signal: bet on the other side of the digit barrier after a run on one side
+   * @param {string} symbol - Market symbol
+   * @returns {Object} Trading signal
+   */
+  getDigitOverUnderSignal(symbol) {
+    const stats = this.getDigitStats(symbol);
+    if (!stats) return { shouldTrade: false };
+    const { side, length } = stats.overUnderStreak;
+    const tradeType = side === 'under' ? 'DIGITOVER' : 'DIGITUNDER';
+    const [low, high] = digitBarrierRange(tradeType);
+    // Over 9 and Under 0 can never win, so Deriv does not offer them
+    const isOffered = this.config.digitBarrier >= low && this.config.digitBarrier <= high;
+    return {
+      shouldTrade: side !== 'barrier' && isOffered && length >= this.config.digitStreak,
+      tradeType,
+      barrier: this.config.digitBarrier,
+      reason: `${length} digits ${side} ${this.config.digitBarrier} in a row`,
+    };
+  }
+
+  /**
+   * Adjust stake size based on position sizing strategy
+   * @param {string} [symbol=this.config.symbol] - Market symbol being traded
+   */
+  adjustStakeBasedOnStrategy(symbol = this.config.symbol) {
     if (this.lastTradeResult === null) {
       this.currentStake = parseFloat(this.initialStake.toFixed(1));
       return;
     }
 
-    const indicators = this.indicatorManager.getIndicators();
-    const drawdown = this.balance > 0 ? (this.totalPnL / this.balance) * 100 : 0;
+    const indicators = this.getIndicators(symbol);
     const volatilityFactor = indicators.volatility > 2.5 ? 0.5 : 1;
-    const drawdownFactor = drawdown < -10 ? 0.75 : 1;
+    const drawdownFactor = this.equityTracker.getDrawdown().percent > 10 ? 0.75 : 1;
 
     switch (this.config.positionSizing) {
       case 'fixed':
@@ -889,24 +1827,33 @@ class AdvancedDerivBot {
         this.currentStake = this.calculateOptimalStake() * volatilityFactor * drawdownFactor;
     }
 
-    switch (this.config.strategy) {
-      case 'martingale':
-        this.currentStake = this.lastTradeResult === 'loss' ?
-          parseFloat((this.currentStake * this.config.multiplier).toFixed(1)) :
-          this.initialStake;
-        break;
-      case 'dalembert':
-        this.currentStake = this.lastTradeResult === 'loss' ?
-          parseFloat((this.currentStake + this.initialStake).toFixed(1)) :
-          parseFloat(Math.max(this.initialStake, this.currentStake - this.initialStake).toFixed(1));
-        break;
-    }
+    // Progressions scale the sized stake rather than replacing it, and stop escalating at the step cap
+    const factor = progressionFactor(this.config.strategy, this.progressionStep, this.config.multiplier);
+    this.currentStake = parseFloat((this.currentStake * factor).toFixed(1));
 
     this.currentStake = parseFloat(Math.min(this.currentStake, this.balance * 0.1, 100).toFixed(1));
     this.currentStake = parseFloat(Math.max(this.currentStake, 0.35).toFixed(1));
     this.log(`Adjusted stake: $${this.currentStake}`, 'debug');
   }
 
+  /**
+   * Move the Martingale/D'Alembert progression on after a settled trade
+   * @param {string} result - 'win' or 'loss'
+   */
+  advanceProgression(result) {
+    const { strategy, maxProgressionSteps, progressionOnCap } = this.config;
+    const { step, capped } = nextProgressionStep(this.progressionStep, result, {
+      strategy,
+      maxSteps: maxProgressionSteps,
+      onCap: progressionOnCap,
+    });
+    if (capped) {
+      const action = progressionOnCap === 'hold' ? 'holding the capped stake' : 'resetting to the base stake';
+      this.log(`Progression cap of ${maxProgressionSteps} steps reached; ${action}`, 'warning');
+    }
+    this.progressionStep = step;
+  }
+
   /**
    * Calculate optimal stake using Kelly Criterion
    * @returns {number} Optimal stake
@@ -925,10 +1872,11 @@ class AdvancedDerivBot {
 
   /**
    * Predict trade duration based on market conditions
+   * @param {string} [symbol=this.config.symbol] - Market symbol being traded
    * @returns {number} Predicted duration in seconds
    */
-  predictDuration() {
-    const indicators = this.indicatorManager.getIndicators();
+  predictDuration(symbol = this.config.symbol) {
+    const indicators = this.getIndicators(symbol);
     const baseDuration = this.config.duration || 60;
     const volFactor = Math.max(0.5, Math.min(2, 1 / (indicators.volatility / 1)));
     const trendFactor = indicators.adx / 25;
@@ -939,46 +1887,184 @@ class AdvancedDerivBot {
 
   /**
    * Execute a trade with specified parameters
-   * @param {string} tradeType - Type of trade (CALL/PUT)
+   * @param {string} tradeType - Contract type; CALL/PUT signals are traded as the configured contract family
    * @param {string} symbol - Market symbol
+   * @param {string|number} [barrier] - Barrier for contract types that take one
+   * @param {Object} [signal] - Signal that asked for the trade { strategy, reason, rule, retried, retryStake }; a custom rule may set the stake and duration
    */
-  async executeTrade(tradeType, symbol) {
-    if (!this.isConnected || !this.isTrading || !this.shouldExecuteTrade() || this.isPaused) {
+  async executeTrade(tradeType, symbol, barrier, signal = {}) {
+    const tradeSymbol = symbol || this.config.symbol;
+    if (!this.isConnected || !this.isTrading || this.isPaused) {
       this.log(`Cannot execute trade: connected=${this.isConnected}, trading=${this.isTrading}, paused=${this.isPaused}`, 'warning');
       return;
     }
 
-    this.adjustStakeBasedOnStrategy();
-    const predictedDuration = this.predictDuration();
+    const pipSize = this.pipSizes.get(tradeSymbol);
+    const contract = resolveContract({ tradeType, barrier }, this.config.contractFamily, {
+      digitBarrier: this.config.digitBarrier,
+      touchOffset: (this.getLatestPrice(tradeSymbol) * this.config.touchBarrier) / 100,
+    });
+    if (!contract) {
+      this.log(`Trade skipped: ${this.config.contractFamily} contracts need a digit strategy, not a ${tradeType} signal`, 'warning');
+      this.lastTradeTime = Date.now();
+      return;
+    }
 
-    const proposalRequest = {
-      proposal: 1,
-      amount: this.currentStake,
-      basis: 'stake',
-      contract_type: tradeType,
-      currency: 'USD',
-      symbol: symbol || this.config.symbol,
-      duration: predictedDuration,
-      duration_unit: 's',
-      req_id: this.generateReqId(),
+    this.adjustStakeBasedOnStrategy(tradeSymbol);
+    if (signal.rule?.stake) {
+      this.currentStake = signal.rule.stake;
+      this.log(`Stake set by rule '${signal.rule.name}': $${this.currentStake}`, 'debug');
+    }
+    if (signal.retryStake !== undefined) {
+      // The rejected stake is not proposed again even if sizing lands on it
+      this.currentStake = Math.min(this.currentStake, signal.retryStake);
+      this.log(`Stake lowered for retry: $${this.currentStake}`, 'debug');
+    }
+    if (!this.applyKnowledgeGate()) {
+      this.lastTradeTime = Date.now();
+      return;
+    }
+    // Checked once the stake is final so exposure limits see what is about to be risked
+    if (!this.shouldExecuteTrade(tradeSymbol)) return;
+
+    // The order travels with the requests so responses are never matched to another trade's stake or symbol,
+    // and snapshots the market and the signal at proposal time for the trade journal
+    const { durationUnit } = CONTRACT_TYPES[contract.tradeType];
+    const order = {
+      tradeType: contract.tradeType,
+      symbol: tradeSymbol,
+      stake: this.currentStake,
+      duration: !durationUnit ? null : signal.rule?.duration ?? (durationUnit === 't' ? this.config.digitTicks : this.predictDuration(tradeSymbol)),
+      durationUnit,
+      barrier: contract.barrier === undefined ? undefined : formatBarrier(contract.tradeType, contract.barrier, pipSize),
+      multiplier: durationUnit ? undefined : this.config.contractMultiplier,
+      stopLoss: durationUnit ? undefined : this.config.multiplierStopLoss,
+      takeProfit: durationUnit ? undefined : this.config.multiplierTakeProfit,
+      pipSize,
+      mode: this.config.paperTrading ? 'paper' : 'live',
+      strategy: signal.strategy || this.config.strategy,
+      reason: signal.reason || null,
+      signal, // Traded again when the order is retried
+      spot: this.getLatestPrice(tradeSymbol),
+      indicators: this.snapshotIndicators(tradeSymbol),
+      marketConditions: this.getMarketConditions(tradeSymbol),
+      proposedAt: new Date().toISOString(),
     };
 
-    this.sendMessage(proposalRequest);
     this.lastTradeTime = Date.now();
-    this.log(`Proposal requested: ${tradeType} ${symbol || this.config.symbol} - $${this.currentStake} for ${predictedDuration}s`, 'info');
+    this.positions.reserve(order);
+    this.log(`Proposal requested: ${this.describeOrder(order)} - $${order.stake}`, 'info');
+    try {
+      const { proposal } = await this.send(buildProposalRequest(order));
+      if (order.mode === 'paper') {
+        this.fillPaperOrder(proposal, order);
+      } else {
+        await this.handleProposal(proposal, order);
+      }
+    } catch (error) {
+      this.handleTradeError(error, order);
+    } finally {
+      this.positions.release(order);
+    }
+  }
+
+  /**
+   * Short description of an order for logs
+   * @param {Object} order - Order { tradeType, symbol, duration, durationUnit, barrier, multiplier }
+   * @returns {string} Description, e.g. "DIGITOVER 5 R_10 for 5t"
+   */
+  describeOrder(order) {
+    const barrier = order.barrier === undefined ? '' : ` ${order.barrier}`;
+    const term = order.durationUnit ? `for ${order.duration}${order.durationUnit}` : `x${order.multiplier}`;
+    return `${order.tradeType}${barrier} ${order.symbol} ${term}`;
+  }
+
+  /**
+   * Report a failed proposal or purchase and apply the error's recovery, if any
+   * @param {Error} error - DerivApiError, RequestTimeoutError or ConnectionError
+   * @param {Object} order - Order { tradeType, symbol, stake, duration, barrier, signal }
+   */
+  handleTradeError(error, order) {
+    this.log(`Trade failed for ${this.describeOrder(order)} at $${order.stake}: ${error.message}`, 'error');
+    if (error instanceof DerivApiError) {
+      if (error.code === 'InvalidStake') {
+        this.adjustStakeForRetry(order);
+      } else if (error.code === 'RateLimit' && order.signal.retried) {
+        this.log(`Rate limit hit again; dropping ${this.describeOrder(order)}`, 'warning');
+      } else if (error.code === 'RateLimit') {
+        this.log(`Rate limit hit; retrying ${this.describeOrder(order)} in ${RETRY_DELAY / 1000}s`, 'warning');
+        setTimeout(() => this.executeTrade(order.tradeType, order.symbol, order.barrier, { ...order.signal, retried: true }), RETRY_DELAY);
+      }
+    } else if (error instanceof RequestTimeoutError && error.request.buy) {
+      // The purchase may have gone through; Deriv reports it on the portfolio
+      this.log(`Buy for ${order.symbol} timed out; check the portfolio for contract status`, 'warning');
+    }
+  }
+
+  /**
+   * Compute the bot's intelligence level from its dataset, model confidence and win rates
+   * @returns {Object} Knowledge { level, status, datasetSize, modelConfidence, backtestWinRate, liveWinRate }
+   */
+  getKnowledge() {
+    const modelConfidence = this.mlConfidences.length ?
+      this.mlConfidences.reduce((sum, c) => sum + c, 0) / this.mlConfidences.length : 0;
+    const liveWinRate = this.totalTrades ? (this.wins / this.totalTrades) * 100 : 0;
+    const level = calculateIntelligenceLevel(this.labelledTradeCount, modelConfidence, this.backtestWinRate, liveWinRate);
+    return {
+      level,
+      status: getKnowledgeStatus(level),
+      datasetSize: this.labelledTradeCount,
+      modelConfidence,
+      backtestWinRate: this.backtestWinRate,
+      liveWinRate,
+    };
+  }
+
+  /**
+   * Hold back the ML strategy until the intelligence level reaches the configured threshold,
+   * either by refusing the trade or by capping its stake
+   * @returns {boolean} Whether the trade may proceed
+   */
+  applyKnowledgeGate() {
+    if (this.config.strategy !== 'ml-based') return true;
+    const knowledge = this.getKnowledge();
+    if (knowledge.level >= this.config.knowledgeThreshold) return true;
+
+    const reason = `intelligence level ${knowledge.level}/10 below ${this.config.knowledgeThreshold} (${knowledge.status}; ` +
+                   `${knowledge.datasetSize} trades, confidence ${(knowledge.modelConfidence * 100).toFixed(1)}%, ` +
+                   `backtest ${knowledge.backtestWinRate.toFixed(1)}%, live ${knowledge.liveWinRate.toFixed(1)}%)`;
+    if (this.config.knowledgeGateMode === 'cap') {
+      if (this.currentStake > this.config.knowledgeStakeCap) {
+        this.currentStake = this.config.knowledgeStakeCap;
+        this.log(`Stake capped at $${this.config.knowledgeStakeCap}: ${reason}`, 'warning');
+      }
+      return true;
+    }
+    this.log(`ML trade refused: ${reason}`, 'warning');
+    return false;
   }
 
   /**
    * Check if trade execution is allowed based on risk management
+   * @param {string} [symbol=this.config.symbol] - Market symbol being traded
    * @returns {boolean} Whether trade should be executed
    */
-  shouldExecuteTrade() {
+  shouldExecuteTrade(symbol = this.config.symbol) {
     if (this.checkMarketConditions()) {
       this.adaptiveCooldown();
       return false;
     }
 
-    if (this.totalTrades >= this.config.maxTrades) {
+    const risk = this.riskGovernor.check(this.currentStake);
+    if (risk) {
+      this.log(`Risk governor refused trade: ${risk}`, 'warning');
+      if (this.riskGovernor.getLock()) this.stopTrading();
+      return false;
+    }
+
+    // Open positions count against the session limit so concurrent trades cannot overshoot it
+    if (this.totalTrades + this.positions.count() >= this.config.maxTrades) {
+      if (this.totalTrades < this.config.maxTrades) return false;
       this.log('Maximum trades reached for this session', 'warning');
       this.stopTrading();
       return false;
@@ -1002,9 +2088,15 @@ class AdvancedDerivBot {
       return false;
     }
 
-    const drawdown = this.balance > 0 ? (this.totalPnL / this.balance) * 100 : 0;
-    if (drawdown <= -this.config.maxDrawdown) {
-      this.log('Maximum drawdown reached', 'warning');
+    const limit = this.positions.checkLimits(symbol, this.currentStake);
+    if (limit) {
+      this.log(`Trade on ${symbol} held back: ${limit}`, 'debug');
+      return false;
+    }
+
+    const drawdown = this.equityTracker.getDrawdown();
+    if (this.equityTracker.isStarted && drawdown.percent >= this.config.maxDrawdown) {
+      this.log(`Maximum drawdown reached: $${drawdown.amount.toFixed(2)} (${drawdown.percent.toFixed(1)}%) below the $${drawdown.peak.toFixed(2)} peak`, 'warning');
       this.adaptiveCooldown();
       return false;
     }
@@ -1015,7 +2107,7 @@ class AdvancedDerivBot {
       return false;
     }
 
-    const indicators = this.indicatorManager.getIndicators();
+    const indicators = this.getIndicators(symbol);
     const bandWidth = (indicators.bollingerBands.upper - indicators.bollingerBands.lower) / indicators.bollingerBands.middle * 100;
     if (bandWidth > 10) {
       this.log('Trading paused due to wide Bollinger Bands', 'warning');
@@ -1038,7 +2130,7 @@ class AdvancedDerivBot {
       return;
     }
 
-    const indicators = this.indicatorManager.getIndicators();
+    const indicators = this.getIndicators();
     const currentTrend = this.detectMarketTrend();
     const isUnfavorable = currentTrend === 'sideways' || indicators.volatility > 2.5 || indicators.adx > 25;
 
@@ -1051,8 +2143,8 @@ class AdvancedDerivBot {
           this.isTrading &&
           !this.checkMarketConditions() &&
           this.detectMarketTrend() !== 'sideways' &&
-          this.indicatorManager.getIndicators().volatility <= 2.5 &&
-          this.indicatorManager.getIndicators().adx <= 25
+          this.getIndicators().volatility <= 2.5 &&
+          this.getIndicators().adx <= 25
         ) {
           this.isPaused = false;
           this.consecutiveLosses = 0;
@@ -1069,164 +2161,233 @@ class AdvancedDerivBot {
   /**
    * Check for dynamic exit conditions
    * @param {Object} contract - Contract update data
+   * @param {Object} position - Open position the update belongs to
    * @returns {boolean} Whether to exit early
    */
-  checkDynamicExit(contract) {
+  checkDynamicExit(contract, position) {
     if (!contract.profit || !contract.current_spot) return false;
 
-    const indicators = this.indicatorManager.getIndicators();
-    const profitRatio = contract.profit / this.currentStake;
+    const indicators = this.getIndicators(position.symbol);
+    const profitRatio = contract.profit / position.stake;
     const isReversing = (contract.current_spot > indicators.bollingerBands.upper && indicators.macd.histogram < 0) ||
                         (contract.current_spot < indicators.bollingerBands.lower && indicators.macd.histogram > 0);
 
     if (profitRatio > this.config.trailingProfitThreshold && isReversing) {
       this.log(`Triggering early exit to lock profit: $${contract.profit.toFixed(2)}`, 'info');
-      this.sendMessage({ sell: contract.contract_id, price: contract.current_spot, req_id: this.generateReqId() });
+      if (position.mode === 'paper') {
+        const sold = this.paperLedger.sell(contract.contract_id);
+        if (sold) this.handleContractUpdate(sold);
+        return true;
+      }
+      // price is the minimum sale price; 0 sells at market rather than failing once the bid moves
+      this.send({ sell: contract.contract_id, price: 0 })
+        .then(({ sell }) => this.log(`Sold contract ${contract.contract_id} for $${Number(sell?.sold_for).toFixed(2)}`, 'info'))
+        .catch((error) => this.log(`Early exit of contract ${contract.contract_id} failed: ${error.message}`, 'error'));
       return true;
     }
     return false;
   }
 
   /**
-   * Handle trade proposal response
+   * Buy the contract offered by a proposal
    * @param {Object} proposal - Proposal data from API
+   * @param {Object} order - Order that requested the proposal { tradeType, symbol, stake, duration }
    */
-  handleProposal(proposal) {
-    if (proposal.id) {
-      this.sendMessage({
-        buy: proposal.id,
-        price: this.currentStake,
-        req_id: this.generateReqId(),
-      });
-      this.log(`Buying contract: ${proposal.display_name} - $${this.currentStake}`, 'info');
-    }
+  async handleProposal(proposal, order) {
+    if (!proposal?.id) return;
+    this.log(`Buying contract: ${proposal.display_name || order.symbol} - $${order.stake}`, 'info');
+    const { buy } = await this.send({ buy: proposal.id, price: order.stake });
+    this.handleBuy(buy, order);
+  }
+
+  /**
+   * Fill a proposal on the paper ledger instead of buying it
+   * @param {Object} proposal - Proposal data from API
+   * @param {Object} order - Order that requested the proposal { tradeType, symbol, stake, duration, mode }
+   */
+  fillPaperOrder(proposal, order) {
+    if (!proposal?.id) return;
+    const buy = this.paperLedger.fill(proposal, order);
+    this.balance = this.paperLedger.balance;
+    this.log(`Paper fill: ${proposal.display_name || order.symbol} - $${buy.buy_price}`, 'info');
+    this.handleBuy(buy, order);
+    this.savePaperAccount();
   }
 
   /**
    * Handle contract purchase response
    * @param {Object} buy - Buy response from API
+   * @param {Object} order - Order the contract was bought for { tradeType, symbol, stake, duration }
    */
-  handleBuy(buy) {
+  handleBuy(buy, order) {
     if (buy.contract_id) {
-      this.activeContract = {
+      const symbol = order.symbol;
+      const position = this.positions.open({
         id: buy.contract_id,
-        stake: this.currentStake,
+        mode: order.mode || 'live',
+        stake: order.stake,
         type: buy.shortcode,
-        buyPrice: buy.buy_price,
+        contractType: order.tradeType,
+        barrier: order.barrier,
+        duration: order.duration,
+        durationUnit: order.durationUnit,
+        multiplier: order.multiplier,
+        buyPrice: Number(buy.buy_price),
+        payout: Number(buy.payout) || 0,
         startTime: new Date(),
-        symbol: buy.symbol,
-      };
-
-      window.notifyContractPurchase?.({
-        symbol: buy.symbol,
-        contractType: buy.shortcode.includes('CALL') ? 'CALL' : 'PUT',
+        symbol,
+        strategy: order.strategy,
+        reason: order.reason,
+        proposalSpot: order.spot,
+        proposedAt: order.proposedAt,
+        entryIndicators: order.indicators,
+        entryConditions: order.marketConditions,
+      }, order);
+
+      this.view.notifyContractPurchase?.({
+        symbol,
+        contractType: order.tradeType,
         contractId: buy.contract_id,
         buyPrice: buy.buy_price,
         expectedPayout: buy.payout || 0,
-        duration: `${this.predictDuration()}s`,
-        entrySpot: this.currentPrice,
-        barrier: buy.barrier || 0,
+        duration: order.durationUnit ? `${order.duration}${order.durationUnit}` : `x${order.multiplier}`,
+        entrySpot: order.spot,
+        barrier: buy.barrier ?? order.barrier ?? 0,
       });
 
-      this.sendMessage({
-        proposal_open_contract: 1,
-        contract_id: buy.contract_id,
-        subscribe: 1,
-        req_id: this.generateReqId(),
-      });
+      if (position.mode === 'live') {
+        this.subscribeToContract(buy.contract_id);
+      }
 
-      this.log(`Contract purchased: ${buy.contract_id} - $${buy.buy_price}`, 'success');
+      this.log(`${position.mode === 'paper' ? 'Paper contract' : 'Contract'} purchased: ${buy.contract_id} - $${buy.buy_price} ` +
+        `(${this.positions.size} open, $${this.positions.exposure().toFixed(2)} at risk)`, 'success');
     }
   }
 
   /**
-   * Handle contract status updates
+   * Handle contract status updates; each open position settles on its own updates
    * @param {Object} contract - Contract update data
    */
   handleContractUpdate(contract) {
-    if (!this.activeContract) return;
+    const position = this.positions.get(contract?.contract_id);
+    if (!position) return;
 
-    if (this.config.takeProfitEnabled && this.checkDynamicExit(contract)) {
+    if (!contract.is_sold) {
+      if (this.config.takeProfitEnabled) this.checkDynamicExit(contract, position);
       return;
     }
 
-    const isWin = contract.is_sold && parseFloat(contract.sell_price) > parseFloat(contract.buy_price);
-    const pnl = contract.is_sold ? parseFloat(contract.sell_price) - parseFloat(contract.buy_price) : 0;
-
-    if (contract.is_sold) {
-      this.totalTrades++;
-      this.totalPnL += pnl;
+    // Deriv's settlement is the record: status says who won, profit is net of the buy price
+    const buyPrice = Number(contract.buy_price ?? position.buyPrice);
+    const sellPrice = Number(contract.sell_price ?? 0);
+    const pnl = contract.profit !== undefined ? Number(contract.profit) : sellPrice - buyPrice;
+    const isWin = contract.status === 'won' || (contract.status !== 'lost' && pnl > 0);
 
-      if (isWin) {
-        this.wins++;
-        this.currentStreak = this.currentStreak > 0 ? this.currentStreak + 1 : 1;
-        this.lastTradeResult = 'win';
-        this.consecutiveLosses = 0;
-        this.log(`Trade WON: +$${pnl.toFixed(2)}`, 'success');
-      } else {
-        this.losses++;
-        this.currentStreak = this.currentStreak < 0 ? this.currentStreak - 1 : -1;
-        this.lastTradeResult = 'loss';
-        this.consecutiveLosses++;
-        this.log(`Trade LOST: -$${Math.abs(pnl).toFixed(2)}`, 'error');
-        this.adaptiveCooldown();
-      }
+    this.totalTrades++;
+    this.totalPnL += pnl;
 
-      const indicators = this.indicatorManager.getIndicators();
-      const tradeData = {
-        id: `trade_${Date.now()}`,
-        symbol: this.activeContract.symbol,
-        result: this.lastTradeResult,
-        pnl: parseFloat(pnl.toFixed(2)),
-        stake: this.currentStake,
-        contractType: this.activeContract.type.includes('CALL') ? 'CALL' : 'PUT',
-        duration: this.predictDuration(),
-        indicators: {
-          rsi: indicators.rsi,
-          macd: indicators.macd.histogram,
-          volatility: indicators.volatility,
-          movingAverage: indicators.movingAverage,
-          bollingerPosition: this.currentPrice > indicators.bollingerBands.upper ? 'above' :
-                            this.currentPrice < indicators.bollingerBands.lower ? 'below' : 'middle',
-          adx: indicators.adx,
-          sentiment: indicators.sentiment,
-        },
-        marketConditions: {
-          trend: this.detectMarketTrend(),
-          volatilitySpike: this.detectVolatilitySpike(),
-          newsEvent: this.checkMarketConditions(),
-          candlePattern: this.candleManager.detectPattern(this.activeContract.symbol),
-        },
-        timestamp: new Date().toISOString(),
-      };
-      saveData('trades', tradeData);
-
-      this.updateStrategyStats(this.config.strategy, this.lastTradeResult);
+    if (isWin) {
+      this.wins++;
+      this.currentStreak = this.currentStreak > 0 ? this.currentStreak + 1 : 1;
+      this.lastTradeResult = 'win';
+      this.consecutiveLosses = 0;
+      this.log(`Trade WON: +$${pnl.toFixed(2)}`, 'success');
+    } else {
+      this.losses++;
+      this.currentStreak = this.currentStreak < 0 ? this.currentStreak - 1 : -1;
+      this.lastTradeResult = 'loss';
+      this.consecutiveLosses++;
+      this.log(`Trade LOST: -$${Math.abs(pnl).toFixed(2)}`, 'error');
+      this.adaptiveCooldown();
+    }
+    this.advanceProgression(this.lastTradeResult);
+
+    const { symbol, mode } = position;
+    this.positions.close(position.id);
+    const exitSpot = contract.exit_tick !== undefined ? Number(contract.exit_tick) : null;
+    const closedAt = contract.sell_time ?? contract.exit_tick_time;
+    const tradeData = {
+      id: `trade_${position.id}`,
+      contractId: position.id,
+      mode,
+      symbol,
+      strategy: position.strategy,
+      reason: position.reason,
+      result: this.lastTradeResult,
+      status: contract.status,
+      pnl: parseFloat(pnl.toFixed(2)),
+      stake: position.stake,
+      buyPrice,
+      sellPrice,
+      payout: position.payout,
+      contractType: position.contractType,
+      barrier: position.barrier,
+      direction: contractDirection(position.contractType, position.barrier),
+      duration: position.duration,
+      durationUnit: position.durationUnit,
+      multiplier: position.multiplier,
+      proposalSpot: position.proposalSpot,
+      entrySpot: contract.entry_tick !== undefined ? Number(contract.entry_tick) : null,
+      exitSpot,
+      // Features describe the market when the contract was proposed, not when it settled
+      indicators: position.entryIndicators,
+      marketConditions: position.entryConditions,
+      proposedAt: position.proposedAt,
+      openedAt: position.startTime.toISOString(),
+      timestamp: closedAt ? new Date(closedAt * 1000).toISOString() : new Date().toISOString(),
+    };
+    saveData('trades', tradeData);
+
+    this.updateStrategyStats(position.strategy, this.lastTradeResult, pnl);
+    const lock = this.riskGovernors[mode].recordTrade(pnl);
+    this.saveRiskGovernor(mode);
+    if (lock) {
+      this.log(`Risk lock: ${lock.scope} loss of $${Math.abs(lock.pnl).toFixed(2)} reached the $${lock.limit.toFixed(2)} limit for ${lock.period}; ` +
+        `${mode} trading is locked until the ${lock.scope === 'weekly' ? 'week' : 'day'} ends or the lock is overridden`, 'error');
+      if (mode === (this.config.paperTrading ? 'paper' : 'live')) this.stopTrading();
+    }
+    if (mode === 'live') {
       this.historicalData.push({
         result: this.lastTradeResult,
         pnl,
-        symbol: this.activeContract.symbol,
-        timestamp: new Date(),
-        price: this.currentPrice,
+        symbol,
+        timestamp: new Date(tradeData.timestamp),
+        price: exitSpot ?? this.getLatestPrice(symbol),
       });
 
-      this.activeContract = null;
-      this.requestBalance();
-      this.updateUI();
+      // buildDataset leaves out digit contracts, so only the others count towards the knowledge gate and retraining
+      const labelled = buildDataset([tradeData]).labels.length;
+      this.labelledTradeCount += labelled;
+      this.tradesSinceTraining += labelled;
+      if (this.tradesSinceTraining >= this.config.mlRetrainInterval) {
+        this.trainModel();
+      }
     }
+    if (mode === 'paper') {
+      this.balance = this.paperLedger.balance;
+      this.recordEquity('paper');
+      this.savePaperAccount();
+    } else {
+      this.requestBalance().then(() => {
+        this.recordEquity('live');
+        this.updateUI();
+      });
+    }
+    this.updateUI();
   }
 
   /**
    * Update strategy performance statistics
    * @param {string} strategy - Strategy name
    * @param {string} result - Trade result (win/loss)
+   * @param {number} pnl - Profit or loss of the trade
    */
-  updateStrategyStats(strategy, result) {
+  updateStrategyStats(strategy, result, pnl) {
     if (!this.strategyStats[strategy]) {
       this.strategyStats[strategy] = { wins: 0, losses: 0, totalPnL: 0 };
     }
     this.strategyStats[strategy][result === 'win' ? 'wins' : 'losses']++;
-    this.strategyStats[strategy].totalPnL += this.totalPnL;
+    this.strategyStats[strategy].totalPnL += pnl;
   }
 
   /**
@@ -1252,10 +2413,12 @@ class AdvancedDerivBot {
 
   /**
    * Detect market trend
+   * @param {string} [symbol=this.config.symbol] - Market symbol
+   * @param {number} [timeframe] - Candle timeframe in seconds, defaults to the primary timeframe
    * @returns {string} Trend direction (uptrend/downtrend/sideways)
    */
-  detectMarketTrend() {
-    const candles = this.candleManager.getCandles(this.config.symbol);
+  detectMarketTrend(symbol = this.config.symbol, timeframe = this.candleManager.timeframe) {
+    const candles = this.candleManager.getCandles(symbol, timeframe);
     if (candles.length < 20) return 'sideways';
     const prices = candles.slice(-20).map((c) => c.close);
     const maShort = this.indicatorManager.calculateMA(prices, 5);
@@ -1265,19 +2428,20 @@ class AdvancedDerivBot {
 
   /**
    * Detect volatility spike
+   * @param {string} [symbol=this.config.symbol] - Market symbol
    * @returns {boolean} Whether a volatility spike is detected
    */
-  detectVolatilitySpike() {
-    const indicators = this.indicatorManager.getIndicators();
+  detectVolatilitySpike(symbol = this.config.symbol) {
+    const indicators = this.getIndicators(symbol);
     return indicators.volatility > 3;
   }
 
   /**
-   * Check market conditions (e.g., news events)
+   * Check market conditions (e.g., news events) at the current time, or at the replayed tick's time during a backtest
    * @returns {boolean} Whether adverse conditions exist
    */
   checkMarketConditions() {
-    const now = new Date();
+    const now = this.replayTime ?? new Date();
     const currentHour = now.getHours();
     const currentMinute = now.getMinutes();
 
@@ -1297,8 +2461,16 @@ class AdvancedDerivBot {
       this.log('Cannot start trading: Not connected to WebSocket', 'error');
       return;
     }
+    const lock = this.riskGovernor.getLock();
+    if (lock) {
+      this.log(`Cannot start trading: ${lock.scope} loss limit reached for ${lock.period}; override the risk lock to continue`, 'error');
+      return;
+    }
     this.isTrading = true;
     this.isPaused = false;
+    if (!this.equityTracker.isStarted && this.currentEquity() > 0) {
+      this.equityTracker.record(this.currentEquity());
+    }
     this.log('Trading started', 'success');
     this.updateUI();
   }
@@ -1309,7 +2481,6 @@ class AdvancedDerivBot {
   stopTrading() {
     this.isTrading = false;
     this.isPaused = false;
-    this.tradeQueue = [];
     this.log('Trading stopped', 'info');
     this.updateUI();
   }
@@ -1326,17 +2497,199 @@ class AdvancedDerivBot {
     this.currentStake = this.initialStake;
     this.consecutiveLosses = 0;
     this.lastTradeResult = null;
+    this.progressionStep = 0;
     this.strategyStats = {};
     this.historicalData = [];
-    this.log('Statistics reset', 'info');
+    if (this.config.paperTrading && !this.positions.size) {
+      this.paperLedger.reset();
+      this.balance = this.paperLedger.balance;
+    }
+    if (this.config.paperTrading) this.savePaperAccount();
+    const equity = this.currentEquity();
+    this.equityTracker.reset(equity > 0 ? equity : undefined);
+    this.log(`${this.config.paperTrading ? 'Paper' : 'Live'} statistics reset`, 'info');
+    this.updateUI();
+  }
+
+  /**
+   * Switch between live and paper trading. Each mode keeps its own statistics and balance;
+   * switching is refused while any contract is open.
+   * @param {boolean} enabled - Whether to paper trade
+   * @returns {boolean} Whether the mode is now as requested
+   */
+  setPaperTrading(enabled) {
+    if (enabled === this.config.paperTrading) return true;
+    if (this.positions.size) {
+      this.log(`Cannot switch trading mode while ${this.positions.size} contract(s) are open`, 'warning');
+      return false;
+    }
+
+    const [from, to] = enabled ? ['live', 'paper'] : ['paper', 'live'];
+    this.accountStats[from] = this.snapshotAccount();
+    Object.assign(this, this.accountStats[to] || this.emptyAccount());
+    this.accountStats[to] = null;
+    this.config.paperTrading = enabled;
+    this.balance = enabled ? this.paperLedger.balance : this.liveBalance;
+    this.log(`${enabled ? 'Paper' : 'Live'} trading enabled`, enabled ? 'info' : 'warning');
     this.updateUI();
+    return true;
+  }
+
+  /**
+   * Statistics of the active trading mode
+   * @returns {Object} Values of ACCOUNT_FIELDS
+   */
+  snapshotAccount() {
+    return Object.fromEntries(ACCOUNT_FIELDS.map((field) => [field, this[field]]));
+  }
+
+  /**
+   * Statistics of a mode that has not traded yet
+   * @returns {Object} Values of ACCOUNT_FIELDS
+   */
+  emptyAccount() {
+    return {
+      totalTrades: 0,
+      wins: 0,
+      losses: 0,
+      currentStreak: 0,
+      totalPnL: 0,
+      consecutiveLosses: 0,
+      lastTradeResult: null,
+      progressionStep: 0,
+      strategyStats: {},
+    };
+  }
+
+  /**
+   * Persist the paper ledger and paper statistics so forward tests survive reloads
+   */
+  savePaperAccount() {
+    upsertData('paper_account', 'ledger', {
+      ledger: this.paperLedger.toJSON(),
+      stats: this.config.paperTrading ? this.snapshotAccount() : this.accountStats.paper,
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Restore the paper ledger and paper statistics saved by savePaperAccount
+   */
+  restorePaperAccount() {
+    const [stored] = loadData('paper_account', 1) || [];
+    if (!stored?.ledger) return;
+    this.paperLedger = PaperLedger.fromJSON(stored.ledger);
+    // Positions left open by a previous session have no contract to report to
+    const voided = this.paperLedger.voidPositions();
+    if (voided > 0) this.log(`Refunded ${voided} paper position(s) left open by the last session`, 'warning');
+    if (this.config.paperTrading) {
+      Object.assign(this, this.emptyAccount(), stored.stats);
+      this.balance = this.paperLedger.balance;
+    } else {
+      this.accountStats.paper = stored.stats ? { ...this.emptyAccount(), ...stored.stats } : null;
+    }
+    this.log(`Restored paper account: $${this.paperLedger.balance.toFixed(2)}`, 'info');
+  }
+
+  /**
+   * Equity tracker of the active trading mode
+   * @returns {EquityTracker} Tracker
+   */
+  get equityTracker() {
+    return this.equityTrackers[this.config.paperTrading ? 'paper' : 'live'];
+  }
+
+  /**
+   * Equity of a trading mode: its balance plus the stake of its open contracts at cost,
+   * so money tied up in concurrent positions does not read as drawdown
+   * @param {string} [mode] - 'live' or 'paper', defaults to the active mode
+   * @returns {number} Equity
+   */
+  currentEquity(mode = this.config.paperTrading ? 'paper' : 'live') {
+    const balance = mode === 'paper' ? this.paperLedger.balance : this.liveBalance;
+    return this.positions.list({ mode }).reduce((total, position) => total + (position.buyPrice || position.stake), balance);
+  }
+
+  /**
+   * Record a trading mode's equity after a settlement
+   * @param {string} mode - 'live' or 'paper'
+   */
+  recordEquity(mode) {
+    this.equityTrackers[mode].record(this.currentEquity(mode));
+  }
+
+  /**
+   * Risk governor of the active trading mode
+   * @returns {RiskGovernor} Governor
+   */
+  get riskGovernor() {
+    return this.riskGovernors[this.config.paperTrading ? 'paper' : 'live'];
+  }
+
+  /**
+   * Risk governor limits from the configuration
+   * @returns {Object} { dailyLossLimit, weeklyLossLimit, maxStakeAtRisk }
+   */
+  riskLimits() {
+    return {
+      dailyLossLimit: this.config.dailyLossLimit,
+      weeklyLossLimit: this.config.weeklyLossLimit,
+      maxStakeAtRisk: this.config.maxStakeAtRisk,
+    };
+  }
+
+  /**
+   * Persist a trading mode's realized P&L periods, lock and overrides
+   * @param {string} mode - 'live' or 'paper'
+   */
+  saveRiskGovernor(mode) {
+    upsertData('risk_governor', mode, {
+      mode,
+      ...this.riskGovernors[mode].toJSON(),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Restore the risk governors saved by saveRiskGovernor, so a reload cannot clear a loss limit
+   */
+  restoreRiskGovernors() {
+    (loadData('risk_governor') || []).forEach((stored) => {
+      const governor = this.riskGovernors[stored.mode];
+      if (!governor) return;
+      governor.restore(stored);
+      const lock = governor.getLock();
+      if (lock) {
+        this.log(`Restored ${stored.mode} risk lock: ${lock.scope} loss limit reached for ${lock.period}`, 'warning');
+      }
+    });
+  }
+
+  /**
+   * Lift the risk lock of the active trading mode. The reason is logged and stored with the governor.
+   * @param {string} reason - Why the lock is being lifted
+   * @returns {boolean} Whether the lock was lifted
+   */
+  overrideRiskLock(reason) {
+    const mode = this.config.paperTrading ? 'paper' : 'live';
+    try {
+      const override = this.riskGovernor.override(reason);
+      this.saveRiskGovernor(mode);
+      this.log(`Risk lock OVERRIDDEN (${mode}): ${override.scope} loss limit for ${override.period} after a $${Math.abs(override.pnl).toFixed(2)} loss; ` +
+        `reason: ${override.reason}. The next losing trade locks again.`, 'warning');
+      this.updateUI();
+      return true;
+    } catch (error) {
+      this.log(`Risk lock override refused: ${error.message}`, 'error');
+      return false;
+    }
   }
 
   /**
    * Clear log display
    */
   clearLog() {
-    window.clearLogDisplay?.();
+    this.view.clearLogDisplay?.();
     this.log('Log cleared', 'info');
   }
 
@@ -1344,7 +2697,7 @@ class AdvancedDerivBot {
    * Update UI elements
    */
   updateUI() {
-    window.updateUI?.({
+    this.view.updateUI?.({
       balance: this.balance.toFixed(2),
       totalTrades: this.totalTrades,
       wins: this.wins,
@@ -1354,9 +2707,25 @@ class AdvancedDerivBot {
       currentStake: this.currentStake.toFixed(2),
       isTrading: this.isTrading,
       isConnected: this.isConnected,
-      indicators: this.indicatorManager.getIndicators(),
+      indicators: this.getIndicators(),
       correlations: Object.fromEntries(this.indicatorManager.getCorrelations()),
       strategyStats: this.strategyStats,
+      knowledge: this.getKnowledge(),
+      tradingMode: this.config.paperTrading ? 'paper' : 'live',
+      openPositions: this.positions.size,
+      exposure: this.positions.exposure().toFixed(2),
+      drawdown: (({ amount, percent, maxAmount, maxPercent }) => ({
+        amount: amount.toFixed(2),
+        percent: percent.toFixed(1),
+        maxAmount: maxAmount.toFixed(2),
+        maxPercent: maxPercent.toFixed(1),
+      }))(this.equityTracker.getDrawdown()),
+      risk: {
+        dailyPnL: this.riskGovernor.dailyPnL().toFixed(2),
+        weeklyPnL: this.riskGovernor.weeklyPnL().toFixed(2),
+        lock: this.riskGovernor.getLock(),
+      },
+      digits: this.digitAnalytics.getStats(this.config.symbol, { window: this.config.digitWindow, barrier: this.config.digitBarrier }),
     });
   }
 
@@ -1367,87 +2736,111 @@ class AdvancedDerivBot {
    */
   updateConnectionStatus(status, isConnected) {
     this.isConnected = isConnected;
-    window.updateConnectionStatus?.(status, isConnected);
+    this.view.updateConnectionStatus?.(status, isConnected);
     this.updateUI();
   }
 
   /**
-   * Run backtest on historical data
+   * Run an event-driven backtest by replaying stored ticks of the configured symbols through the current strategy.
+   * Ticks are read from the ticks store for the date range of the Backtest Results panel; blank dates are open-ended.
    */
-  runBacktest() {
-    const trades = loadData('trades', 100) || [];
-    if (trades.length < 50) {
-      this.log('Insufficient historical data for backtesting', 'error');
+  async runBacktest() {
+    const readDate = (id, endOfDay) => {
+      const value = document.getElementById(id)?.value;
+      if (!value) return undefined;
+      const date = new Date(value);
+      return endOfDay ? new Date(date.getTime() + 86400000 - 1) : date;
+    };
+    const from = readDate('backtest-from', false);
+    const to = readDate('backtest-to', true);
+    if (from && to && from > to) {
+      this.log('Error: Backtest start date must not be after its end date', 'error');
       return;
     }
 
-    let simulatedPnL = 0;
-    let simulatedTrades = 0;
-    let simulatedWins = 0;
-    const backtestStats = { wins: 0, losses: 0, totalPnL: 0 };
+    const ticks = (await Promise.all(this.config.symbols.map((symbol) => queryData('ticks', { symbol, from, to })))).flat();
+    if (ticks.length < 100) {
+      this.log('Insufficient tick data for backtesting: need at least 100 stored ticks', 'error');
+      return;
+    }
 
-    trades.forEach((trade, i) => {
-      if (i < 26) return; // Skip initial trades for indicator warm-up
-      this.candleManager.addHistoricalTick(this.config.symbol, {
-        price: trade.price || this.currentPrice,
-        time: new Date(trade.timestamp),
-        volume: this.estimateVolume(trade.price || this.currentPrice),
-      });
+    const backtester = new Backtester({
+      payoutRatio: this.config.payoutRatio,
+      initialBalance: this.balance > 0 ? this.balance : 1000,
+      minTradeInterval: this.minTradeInterval,
+    });
+    const results = backtester.run(this, ticks);
+    results.trades.forEach((trade) => saveData('backtest_trades', trade));
+
+    this.log(`Backtest completed: ${results.totalTrades} trades, ${results.wins} wins, ${results.winRate.toFixed(1)}% win rate, ` +
+      `Total PnL: $${results.totalPnL.toFixed(2)}, Max DD: $${results.maxDrawdown.toFixed(2)} (${results.maxDrawdownPct.toFixed(1)}%), ` +
+      `Sharpe: ${results.sharpe.toFixed(2)}, Profit Factor: ${Number.isFinite(results.profitFactor) ? results.profitFactor.toFixed(2) : '∞'}`, 'info');
+    this.view.updateBacktestResults?.({
+      totalTrades: results.totalTrades,
+      wins: results.wins,
+      losses: results.losses,
+      winRate: results.winRate.toFixed(1),
+      totalPnL: results.totalPnL.toFixed(2),
+      maxDrawdown: results.maxDrawdown.toFixed(2),
+      maxDrawdownPct: results.maxDrawdownPct.toFixed(1),
+      sharpe: results.sharpe.toFixed(2),
+      profitFactor: Number.isFinite(results.profitFactor) ? results.profitFactor.toFixed(2) : '∞',
+      equityCurve: results.equityCurve,
+      stats: results.strategies,
+    });
+  }
 
-      const candles = this.candleManager.getCandles(this.config.symbol);
-      if (candles.length >= 14) {
-        this.indicatorManager.updateIndicators(candles);
-        const signal = this.getTradeSignal(this.config.symbol);
-        if (signal.shouldTrade) {
-          simulatedTrades++;
-          const indicators = this.indicatorManager.getIndicators();
-          const slippage = indicators.volatility * 0.01;
-          const fee = this.currentStake * 0.01;
-          const simulatedStake = parseFloat(this.calculateOptimalStake().toFixed(1));
-
-          // Simulate trade outcome based on historical data
-          const outcome = trade.result;
-          const simulatedPnl = outcome === 'win' ? simulatedStake * (0.85 - fee - slippage) : -simulatedStake;
-
-          simulatedPnL += simulatedPnl;
-          if (outcome === 'win') {
-            simulatedWins++;
-            backtestStats.wins++;
-          } else {
-            backtestStats.losses++;
-          }
-          backtestStats.totalPnL += simulatedPnl;
-
-          const tradeData = {
-            id: `backtest_${Date.now()}_${i}`,
-            symbol: this.config.symbol,
-            result: outcome,
-            pnl: parseFloat(simulatedPnl.toFixed(2)),
-            stake: simulatedStake,
-            contractType: signal.tradeType,
-            duration: this.predictDuration(),
-            indicators: {
-              rsi: indicators.rsi,
-              macd: indicators.macd.histogram,
-              volatility: indicators.volatility,
-            },
-            timestamp: new Date().toISOString(),
-          };
-          saveData('backtest_trades', tradeData);
-        }
-      }
+  /**
+   * Estimate the risk of ruin of the configured strategy and progression by Monte Carlo: the chance that a session
+   * hits Max Loss before Max Profit. Win rate, payout and trial count come from the Risk of Ruin panel; blank inputs
+   * fall back to the session's win rate and the configured payout ratio.
+   * @returns {Object|null} Result of simulateRuin, or null if the inputs are invalid
+   */
+  runRuinSimulation() {
+    const readNumber = (id) => parseFloat(document.getElementById(id)?.value);
+    const settled = this.wins + this.losses;
+    const winRate = readNumber('ruin-win-rate') / 100 || (settled ? this.wins / settled : 0.5);
+    const payout = readNumber('ruin-payout') || this.config.payoutRatio;
+    const trials = parseInt(document.getElementById('ruin-trials')?.value, 10) || 2000;
+    const { strategy, multiplier, maxProgressionSteps, progressionOnCap, maxLoss, maxProfit, maxTrades } = this.config;
+
+    if (winRate <= 0 || winRate > 1) {
+      this.log('Error: Risk of ruin win rate must be between 0 and 100%', 'error');
+      return null;
+    }
+    if (!(maxLoss > 0) || !(maxProfit > 0)) {
+      this.log('Error: Risk of ruin needs a Max Loss and a Max Profit above 0', 'error');
+      return null;
+    }
+
+    const result = simulateRuin({
+      winRate,
+      payout,
+      stake: this.initialStake,
+      balance: this.balance > 0 ? this.balance : 1000,
+      strategy,
+      multiplier,
+      maxSteps: maxProgressionSteps,
+      onCap: progressionOnCap,
+      lossLimit: maxLoss,
+      profitTarget: maxProfit,
+      maxTrades,
+      trials: Math.min(Math.max(trials, 100), 20000),
     });
 
-    const winRate = simulatedTrades > 0 ? (simulatedWins / simulatedTrades) * 100 : 0;
-    this.log(`Backtest completed: ${simulatedTrades} trades, ${simulatedWins} wins, ${winRate.toFixed(1)}% win rate, Total PnL: $${simulatedPnL.toFixed(2)}`, 'info');
-    window.updateBacktestResults?.({
-      totalTrades: simulatedTrades,
-      wins: simulatedWins,
-      losses: simulatedTrades - simulatedWins,
-      winRate: winRate.toFixed(1),
-      totalPnL: simulatedPnL.toFixed(2),
-      stats: backtestStats,
+    this.log(`Risk of ruin (${strategy}, ${(winRate * 100).toFixed(1)}% win rate, payout ${payout}): ` +
+      `${(result.ruin * 100).toFixed(1)}% hit the $${maxLoss} loss limit, ${(result.target * 100).toFixed(1)}% reached the $${maxProfit} target ` +
+      `over ${result.trials} simulated sessions`, 'info');
+    this.view.updateRuinResults?.({
+      ruin: (result.ruin * 100).toFixed(1),
+      target: (result.target * 100).toFixed(1),
+      undecided: (result.undecided * 100).toFixed(1),
+      averageTrades: result.averageTrades.toFixed(1),
+      largestStake: result.largestStake.toFixed(2),
+      capsHit: result.capsHit,
+      trials: result.trials,
     });
+    return result;
   }
 }
 
@@ -0,0 +1,865 @@
+/**
+ * Offline Deriv API simulator. Speaks the subset of the Deriv WebSocket API the bot uses over an
+ * in-process socket, with synthetic volatility indices and real contract settlement.
+ */
+import { CONTRACT_TYPES, advanceContract, contractValue, describeContract, digitBarrierRange, startProbability } from './contracts.js';
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600;
+const SOCKET_STATES = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+// Annualised volatility, typical price level and pip size of Deriv's continuous indices
+export const SIMULATED_MARKETS = {
+  R_10: { volatility: 0.10, price: 6300, pipSize: 3, name: 'Volatility 10 Index' },
+  R_25: { volatility: 0.25, price: 2900, pipSize: 3, name: 'Volatility 25 Index' },
+  R_50: { volatility: 0.50, price: 240, pipSize: 4, name: 'Volatility 50 Index' },
+  R_75: { volatility: 0.75, price: 61000, pipSize: 4, name: 'Volatility 75 Index' },
+  R_100: { volatility: 1.00, price: 1400, pipSize: 2, name: 'Volatility 100 Index' },
+};
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @param {Function} random - Uniform generator in [0, 1)
+ * @returns {number} Sample
+ */
+function gaussian(random) {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Round to two decimals, as Deriv quotes money
+ * @param {number} value - Amount
+ * @returns {number} Rounded amount
+ */
+function money(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * SimulatorError - A request the simulated API rejects with a Deriv-style error
+ * @class
+ */
+class SimulatorError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * SimulatedSocket - WebSocket-compatible client end of a connection to a DerivSimulator
+ * @class
+ */
+export class SimulatedSocket {
+  constructor(simulator) {
+    this.simulator = simulator;
+    this.readyState = SOCKET_STATES.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+    setTimeout(() => {
+      if (this.readyState !== SOCKET_STATES.CONNECTING) return;
+      this.readyState = SOCKET_STATES.OPEN;
+      this.onopen?.({ type: 'open' });
+    }, simulator.latency);
+  }
+
+  /**
+   * Send a JSON request to the simulator
+   * @param {string} payload - Serialized request
+   */
+  send(payload) {
+    if (this.readyState !== SOCKET_STATES.OPEN) {
+      throw new Error('SimulatedSocket is not open');
+    }
+    setTimeout(() => this.simulator.handleRequest(this, payload), this.simulator.latency);
+  }
+
+  /**
+   * Deliver a message from the simulator
+   * @param {Object} message - Response or stream update
+   */
+  deliver(message) {
+    if (this.readyState !== SOCKET_STATES.OPEN) return;
+    this.onmessage?.({ data: JSON.stringify(message) });
+  }
+
+  /**
+   * Close the connection
+   */
+  close() {
+    if (this.readyState >= SOCKET_STATES.CLOSING) return;
+    this.readyState = SOCKET_STATES.CLOSING;
+    this.simulator.detach(this);
+    setTimeout(() => {
+      this.readyState = SOCKET_STATES.CLOSED;
+      this.onclose?.({ type: 'close', code: 1000 });
+    }, 0);
+  }
+}
+
+/**
+ * DerivSimulator - In-process Deriv endpoint with a random-walk market, one virtual account and the bot's contract types
+ * @class
+ */
+export class DerivSimulator {
+  constructor({
+    markets = SIMULATED_MARKETS,
+    balance = 10000,
+    currency = 'USD',
+    payoutRate = 0.95,
+    tickSeconds = 2,
+    speed = 1,
+    latency = 5,
+    historySize = 5000,
+    random = Math.random,
+  } = {}) {
+    this.markets = markets;
+    this.currency = currency;
+    this.payoutRate = payoutRate; // Profit paid on a winning stake
+    this.tickSeconds = tickSeconds; // Market seconds between ticks
+    this.speed = speed; // Market seconds per wall-clock second
+    this.latency = latency; // Milliseconds before a request is answered
+    this.historySize = historySize;
+    this.random = random;
+    this.account = { loginid: 'VRTC0000001', balance, currency };
+    this.epoch = Math.floor(Date.now() / 1000);
+    this.history = new Map(); // Map<symbol, Array<{ epoch, quote }>>
+    this.proposals = new Map(); // Map<proposal id, contract parameters>
+    this.contracts = new Map(); // Map<contract_id, contract>
+    this.sockets = new Set();
+    this.authorized = new WeakSet();
+    this.subscriptions = new Map(); // Map<subscription id, { socket, type, key, request }>
+    this.nextId = 1;
+    this.timer = null;
+    this.log = (message, type = 'info') => {
+      window.derivBot?.log(`[Simulator] ${message}`, type);
+    };
+    Object.keys(markets).forEach((symbol) => this.seedHistory(symbol));
+  }
+
+  /**
+   * Open a client connection
+   * @returns {SimulatedSocket} Socket in CONNECTING state
+   */
+  connect() {
+    const socket = new SimulatedSocket(this);
+    this.sockets.add(socket);
+    this.start();
+    return socket;
+  }
+
+  /**
+   * Forget a closed client and stop the market once nobody is listening
+   * @param {SimulatedSocket} socket - Closed socket
+   */
+  detach(socket) {
+    this.sockets.delete(socket);
+    this.subscriptions.forEach((subscription, id) => {
+      if (subscription.socket === socket) this.subscriptions.delete(id);
+    });
+    if (this.sockets.size === 0) this.stop();
+  }
+
+  /**
+   * Start generating ticks
+   */
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.advance(), (this.tickSeconds * 1000) / this.speed);
+    this.log(`Market running: ${Object.keys(this.markets).join(', ')}`, 'debug');
+  }
+
+  /**
+   * Stop generating ticks
+   */
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.log('Market paused', 'debug');
+  }
+
+  /**
+   * Fill the tick history that precedes the simulator's start
+   * @param {string} symbol - Market symbol
+   */
+  seedHistory(symbol) {
+    const market = this.markets[symbol];
+    const ticks = new Array(this.historySize);
+    let price = market.price;
+    for (let i = this.historySize - 1; i >= 0; i--) {
+      ticks[i] = { epoch: this.epoch - (this.historySize - 1 - i) * this.tickSeconds, quote: this.roundPrice(symbol, price) };
+      price = this.step(symbol, price);
+    }
+    this.history.set(symbol, ticks);
+  }
+
+  /**
+   * Next price of a geometric random walk with the market's annualised volatility
+   * @param {string} symbol - Market symbol
+   * @param {number} price - Current price
+   * @returns {number} Next price
+   */
+  step(symbol, price) {
+    const sigma = this.markets[symbol].volatility * Math.sqrt(this.tickSeconds / SECONDS_PER_YEAR);
+    return price * Math.exp(sigma * gaussian(this.random) - (sigma * sigma) / 2);
+  }
+
+  /**
+   * Round a price to the market's pip size
+   * @param {string} symbol - Market symbol
+   * @param {number} price - Price
+   * @returns {number} Rounded price
+   */
+  roundPrice(symbol, price) {
+    return Number(price.toFixed(this.markets[symbol].pipSize));
+  }
+
+  /**
+   * Latest tick of a market
+   * @param {string} symbol - Market symbol
+   * @returns {Object} Tick { epoch, quote }
+   */
+  lastTick(symbol) {
+    return this.history.get(symbol).at(-1);
+  }
+
+  /**
+   * Advance the market clock by one tick for every symbol, settle contracts and publish updates
+   */
+  advance() {
+    this.epoch += this.tickSeconds;
+    Object.keys(this.markets).forEach((symbol) => {
+      const ticks = this.history.get(symbol);
+      const tick = { epoch: this.epoch, quote: this.roundPrice(symbol, this.step(symbol, ticks.at(-1).quote)) };
+      ticks.push(tick);
+      if (ticks.length > this.historySize) ticks.shift();
+
+      this.subscriptions.forEach((subscription, id) => {
+        if (subscription.type === 'ticks' && subscription.key === symbol) {
+          subscription.socket.deliver(this.reply(subscription.request, 'tick', {
+            tick: { symbol, epoch: tick.epoch, quote: tick.quote, ask: tick.quote, bid: tick.quote, pip_size: this.markets[symbol].pipSize, id },
+          }, id));
+        }
+      });
+      this.contracts.forEach((contract) => {
+        if (contract.symbol === symbol && !contract.isSold) this.updateContract(contract, tick);
+      });
+    });
+  }
+
+  /**
+   * Build a Deriv-style message
+   * @param {Object} request - Request being answered
+   * @param {string} msgType - Message type
+   * @param {Object} body - Message fields
+   * @param {string} [subscriptionId] - Subscription the message belongs to
+   * @returns {Object} Message
+   */
+  reply(request, msgType, body, subscriptionId) {
+    const message = { echo_req: request, msg_type: msgType, ...body };
+    if (request.req_id !== undefined) message.req_id = request.req_id;
+    if (subscriptionId) message.subscription = { id: subscriptionId };
+    return message;
+  }
+
+  /**
+   * Register a stream for a socket
+   * @param {SimulatedSocket} socket - Client
+   * @param {string} type - Stream type
+   * @param {string|number} key - Symbol or contract ID
+   * @param {Object} request - Subscribing request
+   * @returns {string} Subscription ID
+   */
+  subscribe(socket, type, key, request) {
+    const id = `sim-${this.nextId++}`;
+    this.subscriptions.set(id, { socket, type, key, request });
+    return id;
+  }
+
+  /**
+   * Answer one request
+   * @param {SimulatedSocket} socket - Client
+   * @param {string} payload - Serialized request
+   */
+  handleRequest(socket, payload) {
+    if (!this.sockets.has(socket)) return;
+    let request;
+    try {
+      request = JSON.parse(payload);
+    } catch (error) {
+      socket.deliver({ msg_type: 'error', error: { code: 'InputValidationFailed', message: 'Invalid JSON' } });
+      return;
+    }
+
+    const handlers = {
+      ping: () => this.reply(request, 'ping', { ping: 'pong' }),
+      time: () => this.reply(request, 'time', { time: this.epoch }),
+      authorize: () => this.authorize(socket, request),
+      balance: () => this.balance(socket, request),
+      ticks: () => this.ticks(socket, request),
+      ticks_history: () => this.ticksHistory(request),
+      proposal: () => this.proposal(request),
+      buy: () => this.buy(socket, request),
+      proposal_open_contract: () => this.proposalOpenContract(socket, request),
+      sell: () => this.sell(socket, request),
+      portfolio: () => this.portfolio(socket, request),
+      forget: () => this.reply(request, 'forget', { forget: this.subscriptions.delete(request.forget) ? 1 : 0 }),
+      forget_all: () => this.forgetAll(socket, request),
+    };
+    const type = Object.keys(handlers).find((name) => name in request);
+    try {
+      if (!type) {
+        throw new SimulatorError('UnrecognisedRequest', `Unrecognised request: ${Object.keys(request).join(', ')}`);
+      }
+      const message = handlers[type]();
+      if (message) socket.deliver(message);
+    } catch (error) {
+      const code = error instanceof SimulatorError ? error.code : 'InternalServerError';
+      socket.deliver(this.reply(request, type || 'error', { error: { code, message: error.message } }));
+    }
+  }
+
+  /**
+   * Require an authorized socket
+   * @param {SimulatedSocket} socket - Client
+   */
+  requireAuthorization(socket) {
+    if (!this.authorized.has(socket)) {
+      throw new SimulatorError('AuthorizationRequired', 'Please log in.');
+    }
+  }
+
+  /**
+   * Accept any non-empty token for the virtual account
+   * @param {SimulatedSocket} socket - Client
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  authorize(socket, request) {
+    if (!request.authorize) {
+      throw new SimulatorError('InvalidToken', 'The token is invalid.');
+    }
+    this.authorized.add(socket);
+    return this.reply(request, 'authorize', {
+      authorize: { ...this.account, is_virtual: 1, email: 'simulator@localhost', fullname: 'Simulator' },
+    });
+  }
+
+  /**
+   * Current balance, optionally streamed after every change
+   * @param {SimulatedSocket} socket - Client
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  balance(socket, request) {
+    this.requireAuthorization(socket);
+    const id = request.subscribe ? this.subscribe(socket, 'balance', this.account.loginid, request) : undefined;
+    return this.reply(request, 'balance', { balance: this.balanceBody(id) }, id);
+  }
+
+  /**
+   * Balance message body
+   * @param {string} [id] - Subscription ID
+   * @returns {Object} Balance body
+   */
+  balanceBody(id) {
+    return { balance: money(this.account.balance), currency: this.currency, loginid: this.account.loginid, ...(id ? { id } : {}) };
+  }
+
+  /**
+   * Move money and notify balance subscribers
+   * @param {number} amount - Signed amount
+   */
+  adjustBalance(amount) {
+    this.account.balance = money(this.account.balance + amount);
+    this.subscriptions.forEach((subscription, id) => {
+      if (subscription.type === 'balance') {
+        subscription.socket.deliver(this.reply(subscription.request, 'balance', { balance: this.balanceBody(id) }, id));
+      }
+    });
+  }
+
+  /**
+   * Latest tick, then a stream of ticks when subscribed
+   * @param {SimulatedSocket} socket - Client
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  ticks(socket, request) {
+    const symbol = this.validateSymbol(request.ticks);
+    const id = request.subscribe ? this.subscribe(socket, 'ticks', symbol, request) : undefined;
+    const tick = this.lastTick(symbol);
+    return this.reply(request, 'tick', {
+      tick: { symbol, epoch: tick.epoch, quote: tick.quote, ask: tick.quote, bid: tick.quote, pip_size: this.markets[symbol].pipSize, ...(id ? { id } : {}) },
+    }, id);
+  }
+
+  /**
+   * Recent history as ticks or as OHLC candles of a granularity
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  ticksHistory(request) {
+    const symbol = this.validateSymbol(request.ticks_history);
+    const end = request.end === 'latest' || !request.end ? this.epoch : Number(request.end);
+    const count = Math.min(Number(request.count) || 5000, 5000);
+    const ticks = this.history.get(symbol).filter((tick) => tick.epoch <= end && (!request.start || tick.epoch >= request.start));
+
+    if (request.style === 'candles') {
+      const granularity = Number(request.granularity) || 60;
+      const buckets = new Map();
+      ticks.forEach(({ epoch, quote }) => {
+        const open = Math.floor(epoch / granularity) * granularity;
+        const candle = buckets.get(open);
+        if (!candle) {
+          buckets.set(open, { epoch: open, open: quote, high: quote, low: quote, close: quote });
+        } else {
+          candle.high = Math.max(candle.high, quote);
+          candle.low = Math.min(candle.low, quote);
+          candle.close = quote;
+        }
+      });
+      return this.reply(request, 'candles', { candles: Array.from(buckets.values()).slice(-count), pip_size: this.markets[symbol].pipSize });
+    }
+
+    const recent = ticks.slice(-count);
+    return this.reply(request, 'history', {
+      history: { prices: recent.map((tick) => tick.quote), times: recent.map((tick) => tick.epoch) },
+      pip_size: this.markets[symbol].pipSize,
+    });
+  }
+
+  /**
+   * Check that a symbol is simulated
+   * @param {string} symbol - Market symbol
+   * @returns {string} Symbol
+   */
+  validateSymbol(symbol) {
+    if (!this.markets[symbol]) {
+      throw new SimulatorError('InvalidSymbol', `Symbol ${symbol} is invalid.`);
+    }
+    return symbol;
+  }
+
+  /**
+   * Parse and validate contract parameters shared by proposal and buy
+   * @param {Object} params - Request fields { contract_type, symbol, amount, basis, duration, duration_unit, barrier,
+   *   multiplier, limit_order }
+   * @returns {Object} Contract terms { type, symbol, stake, payout, duration, unit, barrier, multiplier, stopLoss, takeProfit, pipSize }
+   */
+  contractTerms(params) {
+    const symbol = this.validateSymbol(params.symbol);
+    const type = params.contract_type;
+    const spec = CONTRACT_TYPES[type];
+    if (!spec) {
+      throw new SimulatorError('ContractCreationFailure', `Contract type ${type} is not offered by the simulator.`);
+    }
+    const amount = Number(params.amount);
+    if (!(amount > 0)) {
+      throw new SimulatorError('ContractBuyValidationError', 'Please enter a stake amount.');
+    }
+    if (spec.family === 'multiplier' && params.basis === 'payout') {
+      throw new SimulatorError('ContractCreationFailure', 'Multiplier contracts are bought by stake.');
+    }
+    const terms = { type, symbol, pipSize: this.markets[symbol].pipSize, ...this.contractDuration(spec, params) };
+    Object.assign(terms, spec.family === 'multiplier' ? this.multiplierTerms(params) : { barrier: this.contractBarrier(spec, params) });
+
+    // Stake basis buys a payout of stake * (1 + payoutRate) at even odds, scaled by the contract's chance of winning
+    const probability = startProbability(
+      { ...terms, spot: this.lastTick(symbol).quote },
+      this.tickVolatility(symbol),
+      terms.unit === 't' ? terms.duration : (terms.duration * DURATION_UNITS[terms.unit]) / this.tickSeconds,
+    );
+    if (probability !== null && !(probability >= 0.02 && probability <= 0.98)) {
+      throw new SimulatorError('ContractCreationFailure', 'Barrier is out of acceptable range.');
+    }
+    const payoutPerStake = probability === null ? 0 : ((1 + this.payoutRate) * 0.5) / probability;
+    terms.stake = params.basis === 'payout' ? money(amount / payoutPerStake) : money(amount);
+    terms.payout = params.basis === 'payout' ? money(amount) : money(amount * payoutPerStake);
+    if (terms.stake < 0.35) {
+      throw new SimulatorError('InvalidStake', 'Stake must be at least 0.35.');
+    }
+    if (terms.stopLoss > terms.stake) {
+      throw new SimulatorError('ContractCreationFailure', `Stop loss cannot be more than stake (${terms.stake}).`);
+    }
+    return terms;
+  }
+
+  /**
+   * Validate the duration of a contract
+   * @param {Object} spec - Contract type from CONTRACT_TYPES
+   * @param {Object} params - Request fields
+   * @returns {Object} { duration, unit }, both null for multipliers
+   */
+  contractDuration(spec, params) {
+    if (spec.family === 'multiplier') {
+      if (params.duration !== undefined) {
+        throw new SimulatorError('OfferingsValidationError', 'Multiplier contracts do not take a duration.');
+      }
+      return { duration: null, unit: null };
+    }
+    const duration = Number(params.duration);
+    const unit = params.duration_unit || 's';
+    const isValid = Number.isInteger(duration) && duration >= 1 && (unit === 't' || DURATION_UNITS[unit]) &&
+      (spec.family !== 'digits' || (unit === 't' && duration <= 10));
+    if (!isValid) {
+      throw new SimulatorError('OfferingsValidationError', 'Trading is not offered for this duration.');
+    }
+    return { duration, unit };
+  }
+
+  /**
+   * Validate the barrier of a contract
+   * @param {Object} spec - Contract type from CONTRACT_TYPES
+   * @param {Object} params - Request fields
+   * @returns {string|undefined} Barrier
+   */
+  contractBarrier(spec, params) {
+    if (!spec.barrier) return undefined;
+    const barrier = String(params.barrier ?? '');
+    if (spec.barrier === 'digit') {
+      const digit = Number(barrier);
+      const [low, high] = digitBarrierRange(params.contract_type);
+      if (!/^\d$/.test(barrier) || digit < low || digit > high) {
+        throw new SimulatorError('ContractCreationFailure', `Barrier must be a digit from ${low} to ${high}.`);
+      }
+      return barrier;
+    }
+    if (!/^[+-]\d+(\.\d+)?$/.test(barrier) || Number(barrier) === 0) {
+      throw new SimulatorError('ContractCreationFailure', 'Barrier must be a non-zero offset from the entry spot, such as +0.5.');
+    }
+    return barrier;
+  }
+
+  /**
+   * Validate the multiplier and limit orders of a multiplier contract
+   * @param {Object} params - Request fields
+   * @returns {Object} { multiplier, stopLoss, takeProfit }
+   */
+  multiplierTerms(params) {
+    const multiplier = Number(params.multiplier);
+    if (!Number.isInteger(multiplier) || multiplier < 1 || multiplier > 5000) {
+      throw new SimulatorError('ContractCreationFailure', 'Multiplier is not in acceptable range.');
+    }
+    const stopLoss = params.limit_order?.stop_loss === undefined ? null : Number(params.limit_order.stop_loss);
+    const takeProfit = params.limit_order?.take_profit === undefined ? null : Number(params.limit_order.take_profit);
+    if ((stopLoss !== null && !(stopLoss > 0)) || (takeProfit !== null && !(takeProfit > 0))) {
+      throw new SimulatorError('ContractCreationFailure', 'Stop loss and take profit must be positive amounts.');
+    }
+    return { multiplier, stopLoss, takeProfit };
+  }
+
+  /**
+   * Standard deviation of a market's log returns per tick
+   * @param {string} symbol - Market symbol
+   * @returns {number} Tick volatility
+   */
+  tickVolatility(symbol) {
+    return this.markets[symbol].volatility * Math.sqrt(this.tickSeconds / SECONDS_PER_YEAR);
+  }
+
+  /**
+   * Price a contract
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  proposal(request) {
+    const terms = this.contractTerms(request);
+    const id = `prop-${this.nextId++}`;
+    this.proposals.set(id, terms);
+    const spot = this.lastTick(terms.symbol);
+    return this.reply(request, 'proposal', {
+      proposal: {
+        id,
+        ask_price: terms.stake,
+        payout: terms.payout,
+        spot: spot.quote,
+        spot_time: spot.epoch,
+        date_start: this.epoch,
+        display_name: this.markets[terms.symbol].name,
+        longcode: this.longcode(terms),
+        ...(terms.multiplier ? { multiplier: terms.multiplier, limit_order: this.limitOrder(terms) } : {}),
+      },
+    });
+  }
+
+  /**
+   * Human-readable contract description
+   * @param {Object} terms - Contract terms
+   * @returns {string} Long code
+   */
+  longcode(terms) {
+    return describeContract(terms, this.markets[terms.symbol].name);
+  }
+
+  /**
+   * limit_order body of a multiplier contract
+   * @param {Object} terms - Contract terms
+   * @returns {Object} Limit orders that are set
+   */
+  limitOrder(terms) {
+    const limitOrder = {};
+    if (terms.stopLoss) limitOrder.stop_loss = { order_amount: -terms.stopLoss };
+    if (terms.takeProfit) limitOrder.take_profit = { order_amount: terms.takeProfit };
+    return limitOrder;
+  }
+
+  /**
+   * Buy a contract from a proposal ID, or directly from parameters
+   * @param {SimulatedSocket} socket - Client
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  buy(socket, request) {
+    this.requireAuthorization(socket);
+    const terms = request.parameters ? this.contractTerms(request.parameters) : this.proposals.get(request.buy);
+    if (!terms) {
+      throw new SimulatorError('InvalidContractProposal', 'Proposal has expired or does not exist.');
+    }
+    if (request.price !== undefined && terms.stake > Number(request.price)) {
+      throw new SimulatorError('PriceMoved', `The contract price has changed to ${terms.stake}.`);
+    }
+    if (terms.stake > this.account.balance) {
+      throw new SimulatorError('InsufficientBalance', 'Your account balance is insufficient to buy this contract.');
+    }
+    this.proposals.delete(request.buy);
+
+    const contractId = this.nextId++;
+    const contract = {
+      ...terms,
+      id: contractId,
+      transactionId: this.nextId++,
+      purchaseTime: this.epoch,
+      dateExpiry: terms.unit && terms.unit !== 't' ? this.epoch + terms.duration * DURATION_UNITS[terms.unit] : null,
+      entry: null,
+      exit: null,
+      current: this.lastTick(terms.symbol),
+      ticksSeen: 0,
+      isSold: false,
+      sellPrice: null,
+      sellTime: null,
+      status: 'open',
+    };
+    this.contracts.set(contractId, contract);
+    this.adjustBalance(-contract.stake);
+
+    return this.reply(request, 'buy', {
+      buy: {
+        contract_id: contractId,
+        transaction_id: contract.transactionId,
+        buy_price: contract.stake,
+        payout: contract.payout,
+        balance_after: this.account.balance,
+        purchase_time: contract.purchaseTime,
+        start_time: contract.purchaseTime,
+        longcode: this.longcode(contract),
+        shortcode: this.shortcode(contract),
+        ...(contract.barrier !== undefined ? { barrier: contract.barrier } : {}),
+      },
+    });
+  }
+
+  /**
+   * Short contract code in Deriv's format
+   * @param {Object} contract - Contract
+   * @returns {string} Short code
+   */
+  shortcode(contract) {
+    if (contract.multiplier) {
+      return `${contract.type}_${contract.symbol}_${contract.stake}_${contract.multiplier}_${contract.purchaseTime}_0_0.00_N1`;
+    }
+    const barrier = contract.barrier === undefined ? 'S0P' : contract.barrier;
+    return `${contract.type}_${contract.symbol}_${contract.payout}_${contract.purchaseTime}_${contract.dateExpiry ?? `${contract.duration}T`}_${barrier}_0`;
+  }
+
+  /**
+   * Advance an open contract with a new tick, settle it when it ends and stream its state
+   * @param {Object} contract - Contract
+   * @param {Object} tick - New tick { epoch, quote }
+   */
+  updateContract(contract, tick) {
+    const settlement = advanceContract(contract, tick);
+    if (settlement) this.closeContract(contract, settlement);
+    this.publishContract(contract);
+  }
+
+  /**
+   * Close a contract and credit its sale price
+   * @param {Object} contract - Contract
+   * @param {Object} settlement - { exit, sellPrice, status }
+   */
+  closeContract(contract, { exit, sellPrice, status }) {
+    contract.exit = exit;
+    contract.isSold = true;
+    contract.sellTime = this.epoch;
+    contract.sellPrice = sellPrice;
+    contract.status = status;
+    if (sellPrice > 0) this.adjustBalance(sellPrice);
+  }
+
+  /**
+   * Probability-weighted value of an open contract under the random walk
+   * @param {Object} contract - Contract
+   * @returns {number} Bid price
+   */
+  bidPrice(contract) {
+    if (contract.isSold) return contract.sellPrice;
+    if (!contract.entry) return money(contract.stake * 0.99);
+    const remaining = contract.unit === 't' ?
+      (contract.duration - contract.ticksSeen) * this.tickSeconds :
+      Math.max(0, (contract.dateExpiry ?? 0) - this.epoch);
+    return contractValue(contract, this.tickVolatility(contract.symbol), Math.max(remaining, 1) / this.tickSeconds);
+  }
+
+  /**
+   * proposal_open_contract body for a contract
+   * @param {Object} contract - Contract
+   * @param {string} [id] - Subscription ID
+   * @returns {Object} Contract state
+   */
+  contractBody(contract, id) {
+    const bid = this.bidPrice(contract);
+    const value = contract.isSold ? contract.sellPrice : bid;
+    return {
+      contract_id: contract.id,
+      transaction_ids: { buy: contract.transactionId },
+      underlying: contract.symbol,
+      display_name: this.markets[contract.symbol].name,
+      contract_type: contract.type,
+      currency: this.currency,
+      buy_price: contract.stake,
+      payout: contract.payout,
+      bid_price: bid,
+      barrier: contract.barrierLevel ?? contract.barrier,
+      multiplier: contract.multiplier ?? undefined,
+      limit_order: contract.multiplier ? this.limitOrder(contract) : undefined,
+      date_start: contract.purchaseTime,
+      purchase_time: contract.purchaseTime,
+      date_expiry: contract.dateExpiry ?? undefined,
+      tick_count: contract.unit === 't' ? contract.duration : undefined,
+      current_spot: contract.current.quote,
+      current_spot_time: contract.current.epoch,
+      entry_spot: contract.entry?.quote,
+      entry_tick: contract.entry?.quote,
+      entry_tick_time: contract.entry?.epoch,
+      exit_tick: contract.exit?.quote,
+      exit_tick_time: contract.exit?.epoch,
+      is_expired: contract.isSold && contract.status !== 'sold' ? 1 : 0,
+      is_sold: contract.isSold ? 1 : 0,
+      is_valid_to_sell: !contract.isSold && contract.entry ? 1 : 0,
+      profit: money(value - contract.stake),
+      profit_percentage: money(((value - contract.stake) / contract.stake) * 100),
+      sell_price: contract.isSold ? contract.sellPrice : undefined,
+      sell_time: contract.sellTime ?? undefined,
+      status: contract.status,
+      longcode: this.longcode(contract),
+      ...(id ? { id } : {}),
+    };
+  }
+
+  /**
+   * Stream a contract's state to its subscribers, ending their subscriptions once it is sold
+   * @param {Object} contract - Contract
+   */
+  publishContract(contract) {
+    this.subscriptions.forEach((subscription, id) => {
+      if (subscription.type !== 'contract' || subscription.key !== contract.id) return;
+      subscription.socket.deliver(this.reply(subscription.request, 'proposal_open_contract', {
+        proposal_open_contract: this.contractBody(contract, id),
+      }, id));
+      if (contract.isSold) this.subscriptions.delete(id);
+    });
+  }
+
+  /**
+   * State of one contract, optionally streamed until it is sold
+   * @param {SimulatedSocket} socket - Client
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  proposalOpenContract(socket, request) {
+    this.requireAuthorization(socket);
+    const contract = this.contracts.get(Number(request.contract_id));
+    if (!contract) {
+      throw new SimulatorError('InvalidContractId', `Contract ${request.contract_id} does not exist.`);
+    }
+    const id = request.subscribe && !contract.isSold ? this.subscribe(socket, 'contract', contract.id, request) : undefined;
+    return this.reply(request, 'proposal_open_contract', { proposal_open_contract: this.contractBody(contract, id) }, id);
+  }
+
+  /**
+   * Sell an open contract back at its bid price
+   * @param {SimulatedSocket} socket - Client
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  sell(socket, request) {
+    this.requireAuthorization(socket);
+    const contract = this.contracts.get(Number(request.sell));
+    if (!contract) {
+      throw new SimulatorError('InvalidSellContractProposal', `Contract ${request.sell} does not exist.`);
+    }
+    if (contract.isSold || !contract.entry) {
+      throw new SimulatorError('InvalidSellContractProposal', 'This contract cannot be sold now.');
+    }
+    const bid = this.bidPrice(contract);
+    if (request.price !== undefined && bid < Number(request.price)) {
+      throw new SimulatorError('PriceMoved', `The contract's bid price has moved to ${bid}.`);
+    }
+    this.closeContract(contract, { exit: contract.current, sellPrice: bid, status: 'sold' });
+    this.publishContract(contract);
+
+    return this.reply(request, 'sell', {
+      sell: { contract_id: contract.id, sold_for: bid, balance_after: this.account.balance, transaction_id: this.nextId++, reference_id: contract.transactionId },
+    });
+  }
+
+  /**
+   * Open contracts of the account
+   * @param {SimulatedSocket} socket - Client
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  portfolio(socket, request) {
+    this.requireAuthorization(socket);
+    const contracts = Array.from(this.contracts.values())
+      .filter((contract) => !contract.isSold)
+      .map((contract) => ({
+        contract_id: contract.id,
+        transaction_id: contract.transactionId,
+        contract_type: contract.type,
+        symbol: contract.symbol,
+        currency: this.currency,
+        buy_price: contract.stake,
+        payout: contract.payout,
+        purchase_time: contract.purchaseTime,
+        date_start: contract.purchaseTime,
+        expiry_time: contract.dateExpiry ?? undefined,
+        longcode: this.longcode(contract),
+      }));
+    return this.reply(request, 'portfolio', { portfolio: { contracts } });
+  }
+
+  /**
+   * Stop every stream of some types for a socket
+   * @param {SimulatedSocket} socket - Client
+   * @param {Object} request - Request
+   * @returns {Object} Response
+   */
+  forgetAll(socket, request) {
+    const types = [].concat(request.forget_all).map((type) => (type === 'proposal_open_contract' ? 'contract' : type));
+    const forgotten = [];
+    this.subscriptions.forEach((subscription, id) => {
+      if (subscription.socket === socket && types.includes(subscription.type)) {
+        this.subscriptions.delete(id);
+        forgotten.push(id);
+      }
+    });
+    return this.reply(request, 'forget_all', { forget_all: forgotten });
+  }
+}
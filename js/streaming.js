@@ -0,0 +1,341 @@
+/**
+ * Streaming indicator calculators.
+ * Each calculator advances in constant time per value. `update` commits a value (a closed candle),
+ * `peek` returns the result of appending a value without committing it (the still-forming candle).
+ */
+
+/**
+ * RunningEMA - Exponential moving average seeded with the SMA of the first full period
+ * @class
+ */
+export class RunningEMA {
+  constructor(period) {
+    this.period = period;
+    this.k = 2 / (period + 1);
+    this.count = 0;
+    this.seedSum = 0;
+    this.value = null; // null until period values have been committed
+  }
+
+  /**
+   * Compute the state after appending a value
+   * @param {number} value - New value
+   * @returns {Object} { state, value }
+   */
+  next(value) {
+    if (this.value !== null) {
+      const ema = value * this.k + this.value * (1 - this.k);
+      return { state: { count: this.count + 1, value: ema }, value: ema };
+    }
+    const count = this.count + 1;
+    const seedSum = this.seedSum + value;
+    const ema = count === this.period ? seedSum / this.period : null;
+    return { state: { count, seedSum, value: ema }, value: ema };
+  }
+
+  /**
+   * Commit a value
+   * @param {number} value - New value
+   * @returns {number|null} EMA or null before the seed
+   */
+  update(value) {
+    const { state, value: ema } = this.next(value);
+    Object.assign(this, state);
+    return ema;
+  }
+
+  /**
+   * Preview the EMA with a value appended
+   * @param {number} value - New value
+   * @returns {number|null} EMA or null before the seed
+   */
+  peek(value) {
+    return this.next(value).value;
+  }
+}
+
+/**
+ * WilderRSI - Relative Strength Index with Wilder smoothing of average gain and loss
+ * @class
+ */
+export class WilderRSI {
+  constructor(period = 14) {
+    this.period = period;
+    this.prevClose = null;
+    this.count = 0; // Price changes seen so far
+    this.avgGain = 0;
+    this.avgLoss = 0;
+  }
+
+  /**
+   * Compute the state after appending a close
+   * @param {number} close - Closing price
+   * @returns {Object} { state, value }
+   */
+  next(close) {
+    if (this.prevClose === null) {
+      return { state: { prevClose: close }, value: null };
+    }
+    const diff = close - this.prevClose;
+    const gain = diff > 0 ? diff : 0;
+    const loss = diff < 0 ? -diff : 0;
+    const count = this.count + 1;
+    let avgGain;
+    let avgLoss;
+    if (count <= this.period) {
+      // avgGain/avgLoss hold running sums until the first full period
+      avgGain = this.avgGain + gain;
+      avgLoss = this.avgLoss + loss;
+      if (count === this.period) {
+        avgGain /= this.period;
+        avgLoss /= this.period;
+      }
+    } else {
+      avgGain = (this.avgGain * (this.period - 1) + gain) / this.period;
+      avgLoss = (this.avgLoss * (this.period - 1) + loss) / this.period;
+    }
+    const state = { prevClose: close, count, avgGain, avgLoss };
+    return { state, value: count < this.period ? null : WilderRSI.fromAverages(avgGain, avgLoss) };
+  }
+
+  /**
+   * Convert average gain and loss to an RSI value
+   * @param {number} avgGain - Average gain
+   * @param {number} avgLoss - Average loss
+   * @returns {number} RSI between 0 and 100
+   */
+  static fromAverages(avgGain, avgLoss) {
+    if (avgLoss === 0) return avgGain === 0 ? 50 : 100;
+    return 100 - (100 / (1 + avgGain / avgLoss));
+  }
+
+  /**
+   * Commit a close
+   * @param {number} close - Closing price
+   * @returns {number|null} RSI or null until period + 1 closes exist
+   */
+  update(close) {
+    const { state, value } = this.next(close);
+    Object.assign(this, state);
+    return value;
+  }
+
+  /**
+   * Preview the RSI with a close appended
+   * @param {number} close - Closing price
+   * @returns {number|null} RSI or null until period + 1 closes exist
+   */
+  peek(close) {
+    return this.next(close).value;
+  }
+}
+
+/**
+ * RollingStats - Mean and population variance over a sliding window using Welford's update
+ * @class
+ */
+export class RollingStats {
+  constructor(period) {
+    this.period = period;
+    this.window = new Array(period); // Ring buffer of the values in the window
+    this.start = 0;
+    this.count = 0;
+    this.mean = 0;
+    this.m2 = 0; // Sum of squared deviations from the mean
+  }
+
+  /**
+   * Compute the state after appending a value and evicting the oldest one once the window is full
+   * @param {number} value - New value
+   * @returns {Object} { state, value } - value is { mean, variance, stdDev } or null until the window is full
+   */
+  next(value) {
+    let count = this.count + 1;
+    let delta = value - this.mean;
+    let mean = this.mean + delta / count;
+    let m2 = this.m2 + delta * (value - mean);
+
+    if (count > this.period) {
+      const evicted = this.window[this.start];
+      count--;
+      delta = evicted - mean;
+      const nextMean = mean - delta / count;
+      m2 -= delta * (evicted - nextMean);
+      mean = nextMean;
+    }
+
+    m2 = Math.max(0, m2);
+    const state = { count, mean, m2 };
+    if (count < this.period) return { state, value: null };
+    const variance = m2 / count;
+    return { state, value: { mean, variance, stdDev: Math.sqrt(variance) } };
+  }
+
+  /**
+   * Commit a value
+   * @param {number} value - New value
+   * @returns {Object|null} { mean, variance, stdDev } or null until the window is full
+   */
+  update(value) {
+    const { state, value: stats } = this.next(value);
+    const slot = this.count < this.period ? (this.start + this.count) % this.period : this.start;
+    this.window[slot] = value;
+    if (this.count === this.period) {
+      this.start = (this.start + 1) % this.period;
+    }
+    Object.assign(this, state);
+    return stats;
+  }
+
+  /**
+   * Preview the window statistics with a value appended
+   * @param {number} value - New value
+   * @returns {Object|null} { mean, variance, stdDev } or null until the window is full
+   */
+  peek(value) {
+    return this.next(value).value;
+  }
+}
+
+/**
+ * RunningOBV - Cumulative on-balance volume
+ * @class
+ */
+export class RunningOBV {
+  constructor() {
+    this.prevClose = null;
+    this.value = 0;
+  }
+
+  /**
+   * Compute the state after appending a candle
+   * @param {number} close - Closing price
+   * @param {number} volume - Candle volume
+   * @returns {Object} { state, value }
+   */
+  next(close, volume) {
+    let obv = this.value;
+    if (this.prevClose !== null) {
+      if (close > this.prevClose) obv += volume;
+      else if (close < this.prevClose) obv -= volume;
+    }
+    return { state: { prevClose: close, value: obv }, value: obv };
+  }
+
+  /**
+   * Commit a candle
+   * @param {number} close - Closing price
+   * @param {number} volume - Candle volume
+   * @returns {number} OBV
+   */
+  update(close, volume) {
+    const { state, value } = this.next(close, volume);
+    Object.assign(this, state);
+    return value;
+  }
+
+  /**
+   * Preview the OBV with a candle appended
+   * @param {number} close - Closing price
+   * @param {number} volume - Candle volume
+   * @returns {number} OBV
+   */
+  peek(close, volume) {
+    return this.next(close, volume).value;
+  }
+}
+
+/**
+ * WilderADX - Average Directional Index with +DI, -DI and ATR using Wilder smoothing
+ * @class
+ */
+export class WilderADX {
+  constructor(period = 14) {
+    this.period = period;
+    this.prev = null; // Previous candle { high, low, close }
+    this.count = 0; // Candles after the first
+    this.smoothedTR = 0;
+    this.smoothedPlusDM = 0;
+    this.smoothedMinusDM = 0;
+    this.adx = 0;
+    this.dxCount = 0;
+    this.result = { adx: 0, plusDI: 0, minusDI: 0, atr: 0 };
+  }
+
+  /**
+   * Compute the state after appending a candle
+   * @param {Object} candle - Candle { high, low, close }
+   * @returns {Object} { state, value } - value is { adx, plusDI, minusDI, atr }
+   */
+  next(candle) {
+    const current = { high: candle.high, low: candle.low, close: candle.close };
+    const prev = this.prev;
+    if (!prev) {
+      return { state: { prev: current }, value: { ...this.result } };
+    }
+
+    const period = this.period;
+    const count = this.count + 1;
+    const tr = Math.max(current.high - current.low, Math.abs(current.high - prev.close), Math.abs(current.low - prev.close));
+    const upMove = current.high - prev.high;
+    const downMove = prev.low - current.low;
+    const plusDM = upMove > downMove && upMove > 0 ? upMove : 0;
+    const minusDM = downMove > upMove && downMove > 0 ? downMove : 0;
+
+    let { smoothedTR, smoothedPlusDM, smoothedMinusDM, adx, dxCount } = this;
+    const result = { ...this.result };
+    if (count <= period) {
+      smoothedTR += tr;
+      smoothedPlusDM += plusDM;
+      smoothedMinusDM += minusDM;
+    } else {
+      smoothedTR = smoothedTR - smoothedTR / period + tr;
+      smoothedPlusDM = smoothedPlusDM - smoothedPlusDM / period + plusDM;
+      smoothedMinusDM = smoothedMinusDM - smoothedMinusDM / period + minusDM;
+    }
+
+    if (count >= period) {
+      const plusDI = smoothedTR > 0 ? (smoothedPlusDM / smoothedTR) * 100 : 0;
+      const minusDI = smoothedTR > 0 ? (smoothedMinusDM / smoothedTR) * 100 : 0;
+      const diSum = plusDI + minusDI;
+      const dx = diSum > 0 ? (Math.abs(plusDI - minusDI) / diSum) * 100 : 0;
+
+      dxCount++;
+      if (dxCount < period) {
+        adx += dx;
+      } else if (dxCount === period) {
+        adx = (adx + dx) / period;
+        result.adx = adx;
+      } else {
+        adx = (adx * (period - 1) + dx) / period;
+        result.adx = adx;
+      }
+      result.plusDI = plusDI;
+      result.minusDI = minusDI;
+      result.atr = smoothedTR / period;
+    }
+
+    const state = { prev: current, count, smoothedTR, smoothedPlusDM, smoothedMinusDM, adx, dxCount, result };
+    return { state, value: { ...result } };
+  }
+
+  /**
+   * Commit a candle
+   * @param {Object} candle - Candle { high, low, close }
+   * @returns {Object} { adx, plusDI, minusDI, atr }
+   */
+  update(candle) {
+    const { state, value } = this.next(candle);
+    Object.assign(this, state);
+    return value;
+  }
+
+  /**
+   * Preview the directional indicators with a candle appended
+   * @param {Object} candle - Candle { high, low, close }
+   * @returns {Object} { adx, plusDI, minusDI, atr }
+   */
+  peek(candle) {
+    return this.next(candle).value;
+  }
+}
@@ -0,0 +1,165 @@
+// streaming.test.js - The streaming calculators agree with the batch formulas of IndicatorManager
+// Run with: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RunningEMA, WilderRSI, RollingStats, RunningOBV, WilderADX } from '../js/streaming.js';
+import { IndicatorManager } from '../js/indicators.js';
+
+const TOLERANCE = 1e-9;
+const batch = new IndicatorManager();
+
+/**
+ * Fixed candle series: a drifting sine wave with a deterministic pseudo-random walk on top
+ * @param {number} count - Number of candles
+ * @returns {Array<Object>} One-minute candles { time, open, high, low, close, volume }
+ */
+function makeCandles(count) {
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const candles = [];
+  let price = 1000;
+  for (let i = 0; i < count; i++) {
+    const open = price;
+    price += (random() - 0.5) * 4 + Math.sin(i / 15);
+    // A run of unchanged closes exercises the flat branches of RSI and OBV
+    if (i >= 60 && i < 64) price = open;
+    candles.push({
+      time: new Date(Date.UTC(2024, 0, 1) + i * 60000),
+      open,
+      high: Math.max(open, price) + random() * 2,
+      low: Math.min(open, price) - random() * 2,
+      close: price,
+      volume: 1 + Math.floor(random() * 10),
+    });
+  }
+  return candles;
+}
+
+const CANDLES = makeCandles(300);
+const CLOSES = CANDLES.map((candle) => candle.close);
+
+/**
+ * Assert two numbers agree within the tolerance, relative for large values
+ * @param {number} actual - Streaming value
+ * @param {number} expected - Batch value
+ * @param {string} message - What is compared
+ */
+function assertClose(actual, expected, message) {
+  const error = Math.abs(actual - expected) / Math.max(1, Math.abs(expected));
+  assert.ok(error <= TOLERANCE, `${message}: ${actual} vs ${expected}`);
+}
+
+/**
+ * Feed a series through a calculator and compare it with the batch formula at every length.
+ * Before committing each value, peek it as the forming candle; then peek a different value
+ * to check the preview left the state untouched, and commit.
+ * @param {Object} calculator - Streaming calculator
+ * @param {Array} values - Values, each passed as the argument list of peek/update
+ * @param {Function} expected - Batch result for the first n values, or null while undefined
+ * @param {Function} compare - Asserts a streaming result against a batch result
+ */
+function checkAgainstBatch(calculator, values, expected, compare) {
+  values.forEach((args, i) => {
+    const want = expected(i + 1);
+    const shifted = args.map((arg) => (typeof arg === 'number' ? arg + 1 : { ...arg, high: arg.high + 1, close: arg.close + 1 }));
+    calculator.peek(...shifted);
+    const peeked = calculator.peek(...args);
+    const committed = calculator.update(...args);
+    if (want === null) {
+      assert.equal(committed, null, `value ${i} before the seed`);
+      assert.equal(peeked, null, `peek ${i} before the seed`);
+      return;
+    }
+    compare(peeked, want, `peek ${i}`);
+    compare(committed, want, `update ${i}`);
+  });
+}
+
+test('RunningEMA matches the SMA-seeded EMA series', () => {
+  for (const period of [9, 12, 26]) {
+    const series = batch.calculateEMASeries(CLOSES, period);
+    checkAgainstBatch(new RunningEMA(period), CLOSES.map((close) => [close]), (n) => series[n - 1], assertClose);
+  }
+});
+
+test('WilderRSI matches calculateRSI', () => {
+  checkAgainstBatch(
+    new WilderRSI(14),
+    CLOSES.map((close) => [close]),
+    (n) => (n < 15 ? null : batch.calculateRSI(CLOSES.slice(0, n), 14)),
+    assertClose,
+  );
+});
+
+test('RollingStats matches the moving average, Bollinger bands and volatility', () => {
+  checkAgainstBatch(
+    new RollingStats(20),
+    CLOSES.map((close) => [close]),
+    (n) => (n < 20 ? null : n),
+    (stats, n, message) => {
+      const closes = CLOSES.slice(0, n);
+      const bands = batch.calculateBollingerBands(closes);
+      assertClose(stats.mean, batch.calculateMA(closes, 20), `${message} mean`);
+      assertClose(stats.mean + 2 * stats.stdDev, bands.upper, `${message} upper band`);
+      assertClose(stats.mean - 2 * stats.stdDev, bands.lower, `${message} lower band`);
+      assertClose(stats.stdDev / stats.mean * 100, batch.calculateVolatility(closes), `${message} volatility`);
+    },
+  );
+});
+
+test('RunningOBV matches calculateOBV', () => {
+  const obv = new RunningOBV();
+  CANDLES.forEach((candle, i) => {
+    const expected = batch.calculateOBV(CANDLES.slice(0, i + 1));
+    obv.peek(candle.close + 1, candle.volume);
+    assert.equal(obv.peek(candle.close, candle.volume), expected, `peek ${i}`);
+    assert.equal(obv.update(candle.close, candle.volume), expected, `update ${i}`);
+  });
+});
+
+test('WilderADX matches calculateADX', () => {
+  checkAgainstBatch(
+    new WilderADX(14),
+    CANDLES.map((candle) => [candle]),
+    (n) => batch.calculateADX(CANDLES.slice(0, n), 14),
+    (actual, expected, message) => {
+      ['adx', 'plusDI', 'minusDI', 'atr'].forEach((field) => assertClose(actual[field], expected[field], `${message} ${field}`));
+    },
+  );
+});
+
+test('IndicatorManager agrees with the batch formulas while a candle is forming and after it closes', () => {
+  globalThis.window ??= {};
+  const manager = new IndicatorManager();
+  const live = [];
+  CANDLES.forEach((candle, i) => {
+    // The candle opens flat, ticks to its close, and only then closes
+    const forming = { ...candle, close: candle.open };
+    live.push(forming);
+    manager.updateIndicators(live, 'TEST');
+    forming.close = candle.close;
+    manager.updateIndicators(live, 'TEST');
+    if (live.length < 34) return;
+
+    const indicators = manager.getIndicators('TEST');
+    const closes = live.map((c) => c.close);
+    const macd = batch.calculateMACD(closes);
+    const stochastic = batch.calculateStochastic(live);
+    const adx = batch.calculateADX(live);
+    assertClose(indicators.rsi, batch.calculateRSI(closes), `candle ${i} rsi`);
+    assertClose(indicators.movingAverage, batch.calculateMA(closes, 20), `candle ${i} moving average`);
+    assertClose(indicators.volatility, batch.calculateVolatility(closes), `candle ${i} volatility`);
+    assertClose(indicators.bollingerBands.upper, batch.calculateBollingerBands(closes).upper, `candle ${i} upper band`);
+    assertClose(indicators.macd.line, macd.line, `candle ${i} MACD line`);
+    assertClose(indicators.macd.signal, macd.signal, `candle ${i} MACD signal`);
+    assertClose(indicators.stochastic.k, stochastic.k, `candle ${i} stochastic %K`);
+    assertClose(indicators.stochastic.d, stochastic.d, `candle ${i} stochastic %D`);
+    assertClose(indicators.adx, adx.adx, `candle ${i} ADX`);
+    assertClose(indicators.atr, adx.atr, `candle ${i} ATR`);
+    assert.equal(indicators.obv, batch.calculateOBV(live), `candle ${i} OBV`);
+  });
+});